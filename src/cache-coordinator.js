@@ -0,0 +1,773 @@
+// Cache Coordinator Durable Object
+// -----------------------------------------------------------
+// One instance exists per cache key. A Durable Object handles its requests one at a
+// time, so popping an image, promoting the buffer and taking the refill lock are
+// atomic. KV is only written as a cold backup and read when an instance starts empty.
+
+import { getStorage } from './storage.js';
+import { shuffle } from './utils.js';
+
+const SCHEMA_VERSION = 2; // Layout of the stored metadata - older layouts are migrated on load
+const MAX_CAPACITY = 30; // Unsplash's maximum for count=, so a cache fills with one call
+const DEFAULT_CAPACITY = 30;
+const DEFAULT_MAX_IMAGE_AGE_HOURS = 72; // Batches older than this are dropped and fetched again
+const REFILL_LOCK_TIMEOUT = 60000; // A refill lock older than this is treated as abandoned
+const LOAD_ATTEMPTS = 2; // Tries at loading the state before a request fails
+const BACKUP_INTERVAL = 60000; // Minimum time between metadata backups to KV on hot paths
+const DEFAULT_HISTORY_SIZE = 50; // Photo IDs remembered per session
+const HISTORY_TTL = 86400000; // Sessions idle for 24 hours are forgotten
+const HISTORY_CLEANUP_INTERVAL = 3600000; // Minimum time between sweeps of expired sessions
+const DEFAULT_DECK_REBUILD_HOURS = 24; // Decks older than this are relisted from the collection
+const DAILY_PICK_RETENTION_DAYS = 3; // Daily picks kept here while their permanent KV copy propagates
+
+export class CacheCoordinator {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.loading = null;
+        this.loadError = null; // The last failed load - { message, failedAt }
+        this.lastBackup = 0;
+        this.lastHistoryCleanup = 0;
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+        const body = request.method === 'POST' ? await request.json() : {};
+
+        try {
+            // Read-only and destructive admin actions must not restore or initialize state
+            if (action === 'peek' || action === 'dump') {
+                return jsonResponse(await this.inspect(body.cacheKey || 'default', action === 'dump'));
+            }
+            if (action === 'delete') {
+                return jsonResponse(await this.deleteKey(body.cacheKey || 'default'));
+            }
+
+            await this.ensureLoaded(body.cacheKey || 'default');
+
+            // Never serve a batch past the maximum image age
+            if (this.expireCaches()) {
+                await this.persist();
+            }
+
+            let result;
+            switch (action) {
+                case 'metadata':
+                    result = { metadata: this.metadata };
+                    break;
+                case 'touch':
+                    result = await this.touch();
+                    break;
+                case 'pop':
+                    result = await this.pop(body.cacheType, body.count, body.session);
+                    break;
+                case 'remember':
+                    result = await this.remember(body.session, body.ids);
+                    break;
+                case 'promote':
+                    result = await this.promote();
+                    break;
+                case 'refill-start':
+                    result = await this.startRefill();
+                    break;
+                case 'refill-complete':
+                    result = await this.completeRefill(body.images, body.token);
+                    break;
+                case 'deck-deal':
+                    result = await this.dealDeck(body.count);
+                    break;
+                case 'deck-complete':
+                    result = await this.completeDeck(body.photos, body.token);
+                    break;
+                case 'refill-abort':
+                    result = await this.abortRefill(body.token);
+                    break;
+                case 'flush':
+                    result = await this.flush();
+                    break;
+                case 'evict':
+                    result = await this.evict(body.photoId);
+                    break;
+                case 'settings':
+                    result = await this.updateSettings(body.settings);
+                    break;
+                case 'daily':
+                    result = await this.pickDaily(body.date, body.imageData);
+                    break;
+                default:
+                    return new Response('Not Found', { status: 404 });
+            }
+
+            return jsonResponse(result);
+        } catch (error) {
+            console.error(`Cache coordinator error (${action}): ${error.message}`);
+            return new Response(`Error: ${error.message}`, { status: 500 });
+        }
+    }
+
+    // Load state once - concurrent first requests share the same load. A failed load is retried, and
+    // when every attempt fails no state is kept: the request fails, and the next one loads again.
+    async ensureLoaded(cacheKey) {
+        if (!this.loading) {
+            this.loading = (async () => {
+                for (let attempt = 1; ; attempt++) {
+                    try {
+                        await this.load(cacheKey);
+                        this.loadError = null;
+                        return;
+                    } catch (error) {
+                        this.metadata = null;
+                        this.main = null;
+                        this.buffer = null;
+                        this.loadError = { message: error.message, failedAt: Date.now() };
+                        console.error(`Loading cache key ${cacheKey} failed (attempt ${attempt} of ${LOAD_ATTEMPTS}): ${error.message}`);
+                        if (attempt >= LOAD_ATTEMPTS) {
+                            this.loading = null;
+                            throw error;
+                        }
+                    }
+                }
+            })();
+        }
+        await this.loading;
+    }
+
+    // Load state from Durable Object storage, restoring from the KV backup if empty
+    async load(cacheKey) {
+        const stored = await this.state.storage.get(['metadata', 'main', 'buffer']);
+
+        if (stored.get('metadata')) {
+            const version = stored.get('metadata').schemaVersion;
+            const state = migrateState({ metadata: stored.get('metadata'), main: stored.get('main'), buffer: stored.get('buffer') });
+
+            if (state) {
+                this.applyState(state);
+                // Settings defaults may have changed with a deploy, which also restarts the object
+                this.metadata.capacity = this.getCapacity();
+                if (version !== SCHEMA_VERSION) {
+                    console.log(`Migrated cache key ${cacheKey} from schema ${version || 1} to ${SCHEMA_VERSION}`);
+                    await this.persist();
+                    await this.backup(true);
+                }
+                return;
+            }
+            console.error(`Cache key ${cacheKey} was stored with unknown schema ${version} - starting over`);
+        }
+
+        const kv = getStorage(this.env);
+        const backup = await kv.get(`META_${cacheKey}`);
+        const restored = backup && migrateState({
+            metadata: backup,
+            main: await kv.get(`MAIN_${cacheKey}`),
+            buffer: await kv.get(`BUFFER_${cacheKey}`)
+        });
+
+        if (restored) {
+            console.log(`Restoring cache key ${cacheKey} from KV backup`);
+            this.applyState(restored);
+            this.metadata.isRefilling = false;
+            this.metadata.refillToken = null;
+            this.metadata.capacity = this.getCapacity();
+        } else {
+            console.log(`Initializing fresh metadata for cache key: ${cacheKey}`);
+            this.metadata = {
+                schemaVersion: SCHEMA_VERSION,
+                mainCache: {
+                    count: 0,          // Number of images in main cache
+                    currentPointer: 0, // Current position (0 to capacity - 1)
+                    filledAt: 0        // When the batch in this cache was fetched
+                },
+                bufferCache: {
+                    count: 0,          // Number of images in buffer cache
+                    currentPointer: 0, // Current position (0 to capacity - 1)
+                    filledAt: 0
+                },
+                settings: {
+                    capacity: null,         // Images per cache - null uses CACHE_CAPACITY
+                    maxImageAgeHours: null  // null uses CACHE_MAX_IMAGE_AGE_HOURS
+                },
+                capacity: 0,           // Effective capacity, derived from settings
+                isRefilling: false,
+                refillStartedAt: 0,
+                refillToken: null,     // Token of the refill holding the lock
+                lastRefillTime: 0,
+                requestCount: 0,
+                lastRequestTime: 0,
+                createdAt: Date.now(),
+                cacheKey: cacheKey     // Store which cache key this belongs to
+            };
+            this.metadata.capacity = this.getCapacity();
+            this.main = this.emptyCache();
+            this.buffer = this.emptyCache();
+        }
+
+        await this.persist();
+        await this.backup(true);
+    }
+
+    // Take over loaded state, replacing missing cache arrays with empty ones
+    applyState(state) {
+        this.metadata = state.metadata;
+        this.main = state.main || [];
+        this.buffer = state.buffer || [];
+    }
+
+    // Images a cache of this key holds: the key's own setting, else CACHE_CAPACITY
+    getCapacity() {
+        const capacity = this.metadata.settings.capacity || parseInt(this.env.CACHE_CAPACITY, 10) || DEFAULT_CAPACITY;
+        return Math.min(Math.max(capacity, 1), MAX_CAPACITY);
+    }
+
+    // Maximum age of a cached batch in ms (0 never expires): the key's own setting, else CACHE_MAX_IMAGE_AGE_HOURS
+    getMaxImageAge() {
+        const { maxImageAgeHours } = this.metadata.settings;
+        const envHours = parseInt(this.env.CACHE_MAX_IMAGE_AGE_HOURS, 10);
+        const hours = maxImageAgeHours !== null ? maxImageAgeHours : (Number.isNaN(envHours) ? DEFAULT_MAX_IMAGE_AGE_HOURS : envHours);
+        return hours * 3600000;
+    }
+
+    // An empty cache array of the current capacity
+    emptyCache() {
+        return Array(this.metadata.capacity).fill(null);
+    }
+
+    // Drop the main or buffer batch once it is older than the maximum image age, so it is fetched again
+    expireCaches() {
+        const maxAge = this.getMaxImageAge();
+        if (!maxAge) {
+            return false;
+        }
+
+        let expired = false;
+        const now = Date.now();
+        for (const cacheType of ['main', 'buffer']) {
+            const cache = cacheType === 'main' ? this.metadata.mainCache : this.metadata.bufferCache;
+            if (cache.count === 0 || now - cache.filledAt <= maxAge) continue;
+
+            console.log(`Expiring ${cacheType} cache for key ${this.metadata.cacheKey}: batch is ${Math.round((now - cache.filledAt) / 3600000)} hours old`);
+            this[cacheType] = this.emptyCache();
+            cache.count = 0;
+            cache.currentPointer = 0;
+            expired = true;
+        }
+
+        return expired;
+    }
+
+    // Change the per-key settings - null restores the default, invalid values are reported in `error`
+    async updateSettings(settings = {}) {
+        const { capacity, maxImageAgeHours } = settings;
+        if (capacity !== undefined && capacity !== null && !(Number.isInteger(capacity) && capacity >= 1 && capacity <= MAX_CAPACITY)) {
+            return { error: `capacity must be an integer between 1 and ${MAX_CAPACITY}, or null`, metadata: this.metadata };
+        }
+        if (maxImageAgeHours !== undefined && maxImageAgeHours !== null && !(Number.isInteger(maxImageAgeHours) && maxImageAgeHours >= 0)) {
+            return { error: 'maxImageAgeHours must be a non-negative integer, or null', metadata: this.metadata };
+        }
+
+        if (capacity !== undefined) this.metadata.settings.capacity = capacity;
+        if (maxImageAgeHours !== undefined) this.metadata.settings.maxImageAgeHours = maxImageAgeHours;
+
+        // A smaller capacity takes effect with the next refill
+        this.metadata.capacity = this.getCapacity();
+        this.expireCaches();
+
+        await this.persist();
+        await this.backup(true);
+        return { metadata: this.metadata };
+    }
+
+    // Write the current state to Durable Object storage
+    async persist() {
+        await this.state.storage.put({
+            metadata: this.metadata,
+            main: this.main,
+            buffer: this.buffer
+        });
+    }
+
+    // Write metadata (and optionally the cache arrays) to KV as a cold backup
+    async backup(includeCaches = false) {
+        const now = Date.now();
+        if (!includeCaches && now - this.lastBackup < BACKUP_INTERVAL) {
+            return;
+        }
+        this.lastBackup = now;
+
+        const cacheKey = this.metadata.cacheKey;
+        const kv = getStorage(this.env);
+
+        try {
+            await kv.put(`META_${cacheKey}`, this.metadata);
+            if (includeCaches) {
+                await kv.put(`MAIN_${cacheKey}`, this.main);
+                await kv.put(`BUFFER_${cacheKey}`, this.buffer);
+            }
+        } catch (error) {
+            console.error(`KV backup error for key ${cacheKey}: ${error.message}`);
+        }
+    }
+
+    // Record a request against this cache key
+    async touch() {
+        this.metadata.requestCount = (this.metadata.requestCount || 0) + 1;
+        this.metadata.lastRequestTime = Date.now();
+        await this.persist();
+        await this.backup();
+        return { metadata: this.metadata };
+    }
+
+    // Take up to count images from the main or buffer cache, skipping photos the session has seen
+    async pop(cacheType = 'main', count = 1, session = null) {
+        const seen = session ? new Set(await this.getHistory(session)) : null;
+
+        const images = [];
+        while (images.length < count) {
+            const imageData = this.takeNext(cacheType, seen);
+            if (!imageData) break;
+            images.push(imageData);
+        }
+
+        await this.persist();
+        await this.backup();
+
+        if (session && images.length > 0) {
+            await this.remember(session, images.map(imageData => imageData.id));
+        }
+
+        return { imageData: images[0] || null, images, metadata: this.metadata };
+    }
+
+    // Take the next image from a cache using the pointer
+    takeNext(cacheType, seen = null) {
+        const cache = cacheType === 'main' ? this.metadata.mainCache : this.metadata.bufferCache;
+        const cacheArray = cacheType === 'main' ? this.main : this.buffer;
+
+        // No images in this cache
+        if (cache.count === 0) {
+            return null;
+        }
+
+        // Look for any valid image, starting after the current pointer
+        let skipped = 0;
+        for (let checked = 0; checked < cacheArray.length; checked++) {
+            cache.currentPointer = (cache.currentPointer + 1) % cacheArray.length;
+
+            const imageData = cacheArray[cache.currentPointer];
+            if (!imageData) continue;
+
+            // Leave photos this session has already seen for other clients
+            if (seen && seen.has(imageData.id)) {
+                skipped++;
+                continue;
+            }
+
+            // Found an image - take it and clear the slot
+            cacheArray[cache.currentPointer] = null;
+            cache.count--;
+            if (seen) seen.add(imageData.id);
+            return imageData;
+        }
+
+        // Every remaining image was skipped - the count is still right
+        if (skipped > 0) {
+            return null;
+        }
+
+        console.log(`No images found in ${cacheType} cache for key ${this.metadata.cacheKey} despite count=${cache.count}`);
+        // Update count to match reality
+        cache.count = 0;
+        return null;
+    }
+
+    // Get the photo IDs recently served to a session
+    async getHistory(session) {
+        const history = await this.state.storage.get(`history:${session}`);
+        if (!history || Date.now() - history.updatedAt > HISTORY_TTL) {
+            return [];
+        }
+        return history.ids;
+    }
+
+    // Add photo IDs to a session's history, keeping only the most recent ones
+    async remember(session, ids = []) {
+        if (!session || ids.length === 0) {
+            return { metadata: this.metadata };
+        }
+
+        const historySize = parseInt(this.env.SESSION_HISTORY_SIZE, 10) || DEFAULT_HISTORY_SIZE;
+        const history = (await this.getHistory(session)).concat(ids).slice(-historySize);
+        await this.state.storage.put(`history:${session}`, { ids: history, updatedAt: Date.now() });
+
+        await this.cleanupHistories();
+        return { metadata: this.metadata };
+    }
+
+    // Settle the photo of a day: the first photo offered is kept and every later offer gets it back,
+    // so concurrent first requests of the day agree on one photo
+    async pickDaily(date, imageData) {
+        const picked = await this.state.storage.get(`daily:${date}`);
+        if (picked) {
+            return { imageData: picked };
+        }
+
+        await this.state.storage.put(`daily:${date}`, imageData);
+
+        // Older days are settled in KV by now
+        const oldest = new Date(Date.parse(date) - DAILY_PICK_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+        const picks = await this.state.storage.list({ prefix: 'daily:' });
+        const expired = [...picks.keys()].filter(key => key.slice('daily:'.length) < oldest);
+        if (expired.length > 0) {
+            await this.state.storage.delete(expired.slice(0, 128));
+        }
+
+        return { imageData };
+    }
+
+    // Delete the histories of sessions that have gone idle
+    async cleanupHistories() {
+        const now = Date.now();
+        if (now - this.lastHistoryCleanup < HISTORY_CLEANUP_INTERVAL) {
+            return;
+        }
+        this.lastHistoryCleanup = now;
+
+        const histories = await this.state.storage.list({ prefix: 'history:' });
+        const expired = [...histories]
+            .filter(([, history]) => now - history.updatedAt > HISTORY_TTL)
+            .map(([key]) => key);
+
+        // Storage deletes are limited to 128 keys per call
+        for (let i = 0; i < expired.length; i += 128) {
+            await this.state.storage.delete(expired.slice(i, i + 128));
+        }
+    }
+
+    // Move the buffer into the main cache, leaving the buffer empty for the next refill
+    async promote() {
+        const bufferImages = this.buffer.filter(item => item);
+
+        // Nothing to promote - another request already did it
+        if (bufferImages.length === 0) {
+            return { metadata: this.metadata };
+        }
+
+        const cacheKey = this.metadata.cacheKey;
+        console.log(`Copying buffer to main cache for key: ${cacheKey}`);
+
+        this.main = this.buffer;
+        this.buffer = this.emptyCache();
+        this.metadata.mainCache.count = bufferImages.length;
+        this.metadata.mainCache.currentPointer = 0;  // Reset pointer for fresh access
+        this.metadata.mainCache.filledAt = this.metadata.bufferCache.filledAt;
+        this.metadata.bufferCache.count = 0;
+        this.metadata.bufferCache.currentPointer = 0;
+
+        await this.persist();
+        await this.backup(true);
+
+        // Retain this batch as the stale pool, served while the circuit breaker is open
+        try {
+            await getStorage(this.env).put(`STALE_${cacheKey}`, bufferImages);
+        } catch (error) {
+            console.error(`Error saving stale pool for key ${cacheKey}: ${error.message}`);
+        }
+
+        console.log(`Buffer copy complete for key ${cacheKey}. Main cache now has ${this.metadata.mainCache.count} images`);
+        return { metadata: this.metadata };
+    }
+
+    // Take the refill lock unless another refill holds it. The token returned with the lock must be
+    // sent to release it, so a refill whose lock expired can't release the lock of the one after it.
+    async startRefill() {
+        const now = Date.now();
+
+        if (this.metadata.isRefilling && now - (this.metadata.refillStartedAt || 0) < REFILL_LOCK_TIMEOUT) {
+            return { acquired: false, metadata: this.metadata };
+        }
+
+        const token = crypto.randomUUID();
+        this.metadata.isRefilling = true;
+        this.metadata.refillStartedAt = now;
+        this.metadata.refillToken = token;
+        await this.persist();
+        return { acquired: true, token, metadata: this.metadata };
+    }
+
+    // Whether a token belongs to the refill holding the lock
+    holdsRefillLock(token) {
+        if (this.metadata.isRefilling && token && token === this.metadata.refillToken) {
+            return true;
+        }
+        console.log(`Ignoring a refill of key ${this.metadata.cacheKey} that no longer holds the lock`);
+        return false;
+    }
+
+    // Release the refill lock
+    releaseRefillLock() {
+        this.metadata.isRefilling = false;
+        this.metadata.refillToken = null;
+    }
+
+    // Store a freshly fetched batch in the buffer and release the refill lock - refills that lost the
+    // lock are dropped, since a newer refill will fill the buffer
+    async completeRefill(images = [], token = null) {
+        if (!this.holdsRefillLock(token)) {
+            return { stored: false, metadata: this.metadata };
+        }
+
+        this.buffer = images.slice(0, this.metadata.capacity);
+        this.metadata.bufferCache.count = this.buffer.length;
+        this.metadata.bufferCache.currentPointer = 0;
+        this.metadata.bufferCache.filledAt = Date.now();
+        this.releaseRefillLock();
+        this.metadata.lastRefillTime = this.metadata.bufferCache.filledAt;
+
+        await this.persist();
+        await this.backup(true);
+        return { stored: true, metadata: this.metadata };
+    }
+
+    // Deal the next photos from the shuffled deck, reshuffling once it runs out. A deal that runs
+    // past the end puts the photos it already dealt last in the new order, so they aren't dealt twice.
+    async dealDeck(count = 1) {
+        const deck = await this.state.storage.get('deck');
+        if (!deck || deck.order.length === 0) {
+            return { images: [], needsBuild: true, metadata: this.metadata };
+        }
+
+        const photos = await this.state.storage.get('deckPhotos');
+        const images = [];
+
+        while (images.length < Math.min(count, deck.order.length)) {
+            if (deck.position >= deck.order.length) {
+                const dealt = new Set(images.map(photo => photo.id));
+                deck.order = [
+                    ...shuffle(deck.order.filter(photoId => !dealt.has(photoId))),
+                    ...shuffle(deck.order.filter(photoId => dealt.has(photoId)))
+                ];
+                deck.position = 0;
+                deck.round++;
+            }
+            images.push(photos[deck.order[deck.position++]]);
+        }
+
+        this.metadata.deck = this.describeDeck(deck);
+        await this.state.storage.put('deck', deck);
+        await this.persist();
+        await this.backup();
+
+        const rebuildHours = parseInt(this.env.DECK_REBUILD_HOURS, 10) || DEFAULT_DECK_REBUILD_HOURS;
+        const needsRebuild = Date.now() - deck.builtAt > rebuildHours * 3600000;
+
+        return { images, needsRebuild, metadata: this.metadata };
+    }
+
+    // Replace the deck with a freshly listed collection and release the refill lock
+    async completeDeck(photos = [], token = null) {
+        if (!this.holdsRefillLock(token)) {
+            return { stored: false, metadata: this.metadata };
+        }
+
+        const deckPhotos = {};
+        for (const photo of photos) {
+            deckPhotos[photo.id] = photo;
+        }
+
+        const deck = {
+            order: shuffle(Object.keys(deckPhotos)),
+            position: 0,
+            round: 1,
+            builtAt: Date.now()
+        };
+
+        await this.state.storage.put({ deck, deckPhotos });
+
+        this.metadata.deck = this.describeDeck(deck);
+        this.releaseRefillLock();
+        this.metadata.lastRefillTime = deck.builtAt;
+        await this.persist();
+        await this.backup(true);
+
+        console.log(`Deck built for key ${this.metadata.cacheKey} with ${deck.order.length} photos`);
+        return { stored: true, metadata: this.metadata };
+    }
+
+    // Summary of the deck kept in metadata for status and scheduling
+    describeDeck(deck) {
+        return {
+            size: deck.order.length,
+            position: deck.position,
+            round: deck.round,
+            builtAt: deck.builtAt
+        };
+    }
+
+    // Read the state without loading, restoring or initializing anything
+    async inspect(cacheKey, includeContents = false) {
+        let metadata = this.metadata;
+        let main = this.main;
+        let buffer = this.buffer;
+        let source = 'coordinator';
+
+        if (!metadata) {
+            const stored = await this.state.storage.get(['metadata', 'main', 'buffer']);
+            metadata = stored.get('metadata');
+            main = stored.get('main');
+            buffer = stored.get('buffer');
+        }
+
+        // Never touched by a request since the last restart - fall back to the KV backup
+        if (!metadata) {
+            const kv = getStorage(this.env);
+            metadata = await kv.get(`META_${cacheKey}`);
+            if (includeContents) {
+                main = await kv.get(`MAIN_${cacheKey}`);
+                buffer = await kv.get(`BUFFER_${cacheKey}`);
+            }
+            source = 'kv-backup';
+        }
+
+        // Report stored state in the current layout (null if it can't be read)
+        if (metadata && metadata.schemaVersion !== SCHEMA_VERSION) {
+            const state = migrateState({ metadata, main, buffer });
+            metadata = state ? state.metadata : null;
+        }
+
+        if (!includeContents) {
+            return { metadata: metadata || null };
+        }
+
+        const toIds = (cacheArray) => (cacheArray || []).filter(item => item).map(item => item.id);
+        const deck = await this.state.storage.get('deck');
+
+        return {
+            metadata: metadata || null,
+            source,
+            main: toIds(main),
+            buffer: toIds(buffer),
+            deck: deck ? deck.order.slice(deck.position) : []
+        };
+    }
+
+    // Drop all cached images (main, buffer and deck) but keep the request statistics
+    async flush() {
+        this.main = this.emptyCache();
+        this.buffer = this.emptyCache();
+        this.metadata.mainCache = { count: 0, currentPointer: 0, filledAt: 0 };
+        this.metadata.bufferCache = { count: 0, currentPointer: 0, filledAt: 0 };
+        delete this.metadata.deck;
+
+        await this.state.storage.delete(['deck', 'deckPhotos']);
+        await this.persist();
+        await this.backup(true);
+
+        console.log(`Flushed caches for key ${this.metadata.cacheKey}`);
+        return { metadata: this.metadata };
+    }
+
+    // Remove every trace of this cache key, including its KV backup
+    async deleteKey(cacheKey) {
+        await this.state.storage.deleteAll();
+        this.loading = null;
+        this.metadata = null;
+        this.main = null;
+        this.buffer = null;
+
+        const kv = getStorage(this.env);
+        for (const prefix of ['META_', 'MAIN_', 'BUFFER_', 'STALE_']) {
+            await kv.delete(`${prefix}${cacheKey}`);
+        }
+
+        console.log(`Deleted cache key ${cacheKey}`);
+        return { deleted: true };
+    }
+
+    // Remove a photo from the main and buffer caches, the deck and the stale pool
+    async evict(photoId) {
+        let removed = 0;
+
+        for (const cacheType of ['main', 'buffer']) {
+            const cache = cacheType === 'main' ? this.metadata.mainCache : this.metadata.bufferCache;
+            const cacheArray = cacheType === 'main' ? this.main : this.buffer;
+
+            cacheArray.forEach((item, index) => {
+                if (item && item.id === photoId) {
+                    cacheArray[index] = null;
+                    cache.count--;
+                    removed++;
+                }
+            });
+        }
+
+        const deck = await this.state.storage.get('deck');
+        if (deck && deck.order.includes(photoId)) {
+            const index = deck.order.indexOf(photoId);
+            deck.order.splice(index, 1);
+            if (index < deck.position) deck.position--;
+
+            const deckPhotos = await this.state.storage.get('deckPhotos');
+            delete deckPhotos[photoId];
+
+            await this.state.storage.put({ deck, deckPhotos });
+            this.metadata.deck = this.describeDeck(deck);
+            removed++;
+        }
+
+        const cacheKey = this.metadata.cacheKey;
+        const kv = getStorage(this.env);
+        const staleImages = await kv.get(`STALE_${cacheKey}`);
+        if (Array.isArray(staleImages) && staleImages.some(item => item.id === photoId)) {
+            await kv.put(`STALE_${cacheKey}`, staleImages.filter(item => item.id !== photoId));
+            removed++;
+        }
+
+        if (removed > 0) {
+            await this.persist();
+            await this.backup(true);
+        }
+
+        return { removed, metadata: this.metadata };
+    }
+
+    // Release the refill lock without changing the buffer - only the refill holding it can
+    async abortRefill(token = null) {
+        if (!this.holdsRefillLock(token)) {
+            return { released: false, metadata: this.metadata };
+        }
+
+        this.releaseRefillLock();
+        await this.persist();
+        return { released: true, metadata: this.metadata };
+    }
+}
+
+// Bring stored state up to the current schema, one version at a time.
+// Returns null for state written by a newer schema, which this code can't read safely.
+function migrateState(state) {
+    const { metadata } = state;
+    const version = metadata.schemaVersion || 1; // Version 1 had no version field
+
+    if (version > SCHEMA_VERSION) {
+        return null;
+    }
+
+    // 2: per-key settings, batch timestamps for the maximum image age, creation time for idle collection
+    if (version < 2) {
+        const filledAt = metadata.lastRefillTime || Date.now();
+        metadata.mainCache.filledAt = filledAt;
+        metadata.bufferCache.filledAt = filledAt;
+        metadata.settings = { capacity: null, maxImageAgeHours: null };
+        metadata.capacity = DEFAULT_CAPACITY;
+        metadata.createdAt = metadata.lastRequestTime || Date.now();
+    }
+
+    metadata.schemaVersion = SCHEMA_VERSION;
+    return state;
+}
+
+// JSON response for the worker
+function jsonResponse(result) {
+    return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
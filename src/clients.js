@@ -0,0 +1,289 @@
+// Client API Keys
+// -----------------------------------------------------------
+// Keys are issued by the worker through the admin API. KV stores only the SHA-256 hash of a key
+// (CLIENT_<hash>), together with the client's allowed collections, quotas and an optional private
+// Unsplash key, encrypted with the CLIENT_KEY_SECRET secret. Quotas are counted by one ClientQuota
+// Durable Object per client.
+
+import { getStorage } from './storage.js';
+import { ValidationError, UnauthorizedError, RateLimitedError, errorResponse } from './errors.js';
+
+const CLIENT_KEY_PREFIX = 'uwk_';
+const CLIENT_CACHE_TTL = 60000; // How long an isolate trusts a client record before re-reading KV
+
+// Client records by key hash - null caches unknown keys too
+const clientCache = new Map();
+
+// Hex SHA-256 of a client key
+async function hashClientKey(clientKey) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(clientKey));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// AES-GCM key for private Unsplash keys, derived from the CLIENT_KEY_SECRET secret
+async function getSecretKey(env) {
+    if (!env.CLIENT_KEY_SECRET) {
+        throw new Error('CLIENT_KEY_SECRET is not set');
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.CLIENT_KEY_SECRET));
+    return crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Encrypt a private Unsplash key for the client record - returns "<iv>.<ciphertext>" in base64
+async function encryptUnsplashKey(unsplashKey, env) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getSecretKey(env), new TextEncoder().encode(unsplashKey));
+    return `${toBase64(iv)}.${toBase64(new Uint8Array(data))}`;
+}
+
+// Decrypt the private Unsplash key of a stored client record - returns the record as the worker uses it
+async function decryptClient(record, env) {
+    if (!record || !record.encryptedUnsplashKey) {
+        return record;
+    }
+
+    const { encryptedUnsplashKey, ...client } = record;
+    const [iv, data] = encryptedUnsplashKey.split('.').map(fromBase64);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await getSecretKey(env), data);
+    return { ...client, unsplashKey: new TextDecoder().decode(plain) };
+}
+
+// Base64 text of bytes
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+// Bytes of base64 text
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Look up the client a request authenticates as (X-API-Key header)
+// Returns { client } (null without a header), or { response } to send instead when the key is unknown or over quota
+export async function authenticateClient(request, env) {
+    const clientKey = request.headers.get('X-API-Key');
+    if (!clientKey) {
+        return { client: null };
+    }
+
+    const client = await getClientByKey(clientKey, env);
+    if (!client) {
+        return { response: errorResponse(new UnauthorizedError('Invalid API key')) };
+    }
+
+    const quota = await consumeClientQuota(client, env);
+    if (!quota.allowed) {
+        return {
+            response: errorResponse(new RateLimitedError(`${quota.period === 'day' ? 'Daily' : 'Per-minute'} quota of ${quota.limit} requests exceeded`, quota.retryAfter))
+        };
+    }
+
+    return { client };
+}
+
+// Load a client record by its key, cached per isolate
+async function getClientByKey(clientKey, env) {
+    if (!clientKey.startsWith(CLIENT_KEY_PREFIX)) {
+        return null;
+    }
+
+    const hash = await hashClientKey(clientKey);
+    const cached = clientCache.get(hash);
+    if (cached && Date.now() - cached.loadedAt < CLIENT_CACHE_TTL) {
+        return cached.client;
+    }
+
+    const client = await decryptClient(await getStorage(env).get(`CLIENT_${hash}`), env);
+    clientCache.set(hash, { client, loadedAt: Date.now() });
+    return client;
+}
+
+// Load a client record by its ID (the first 16 hex characters of its key hash)
+export async function getClientById(clientId, env) {
+    if (!/^[a-f0-9]{16}$/.test(clientId || '')) {
+        return null;
+    }
+
+    const storage = getStorage(env);
+    const page = await storage.list({ prefix: `CLIENT_${clientId}`, limit: 1 });
+    if (page.keys.length === 0) {
+        return null;
+    }
+
+    return decryptClient(await storage.get(page.keys[0]), env);
+}
+
+// Issue a new client key - the key itself is only returned here and never stored
+export async function createClient(settings, env) {
+    if (settings.unsplashKey && !env.CLIENT_KEY_SECRET) {
+        throw new ValidationError('Storing a private Unsplash key needs the CLIENT_KEY_SECRET secret.', 'unsplashKey');
+    }
+
+    const random = crypto.getRandomValues(new Uint8Array(24));
+    const clientKey = CLIENT_KEY_PREFIX + [...random].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    const hash = await hashClientKey(clientKey);
+
+    const client = {
+        id: hash.slice(0, 16),
+        name: String(settings.name || '').slice(0, 100),
+        collections: normalizeCollections(settings.collections),
+        perMinute: normalizeLimit(settings.perMinute),
+        perDay: normalizeLimit(settings.perDay),
+        encryptedUnsplashKey: settings.unsplashKey ? await encryptUnsplashKey(String(settings.unsplashKey), env) : null,
+        createdAt: Date.now()
+    };
+
+    await getStorage(env).put(`CLIENT_${hash}`, client);
+    return { clientKey, client: describeClient(client) };
+}
+
+// List every client, without their private Unsplash keys
+export async function listClients(env) {
+    const storage = getStorage(env);
+    const clients = [];
+    let cursor;
+
+    do {
+        const page = await storage.list({ prefix: 'CLIENT_', cursor });
+        for (const name of page.keys) {
+            const client = await storage.get(name);
+            if (client) clients.push(describeClient(client));
+        }
+        cursor = page.cursor;
+    } while (cursor);
+
+    return clients;
+}
+
+// Revoke a client key - returns false for unknown IDs
+// Other isolates keep using their cached record for up to CLIENT_CACHE_TTL
+export async function deleteClient(clientId, env) {
+    if (!/^[a-f0-9]{16}$/.test(clientId || '')) {
+        return false;
+    }
+
+    const storage = getStorage(env);
+    const page = await storage.list({ prefix: `CLIENT_${clientId}`, limit: 1 });
+    if (page.keys.length === 0) {
+        return false;
+    }
+
+    const name = page.keys[0];
+    await storage.delete(name);
+    clientCache.delete(name.slice('CLIENT_'.length));
+    await getClientQuota(clientId, env).fetch('https://client-quota/reset', { method: 'POST' });
+    return true;
+}
+
+// Read the current quota usage of a client
+export async function getClientUsage(clientId, env) {
+    const response = await getClientQuota(clientId, env).fetch('https://client-quota/usage');
+    return response.json();
+}
+
+// Client record as shown by the admin API, stored or decrypted
+export function describeClient(client) {
+    const { unsplashKey, encryptedUnsplashKey, ...rest } = client;
+    return { ...rest, hasUnsplashKey: Boolean(unsplashKey || encryptedUnsplashKey) };
+}
+
+// Check whether a client may use every collection of a comma-separated list
+export function isCollectionAllowed(client, collectionIds) {
+    if (client.collections.includes('*')) return true;
+    return collectionIds.split(',').every(collectionId => client.collections.includes(collectionId));
+}
+
+// Collection IDs as a clean list ('*' allows every collection)
+function normalizeCollections(collections) {
+    const list = Array.isArray(collections) ? collections : String(collections || '').split(',');
+    return [...new Set(list.map(collectionId => String(collectionId).trim()).filter(collectionId => /^(\d+|\*)$/.test(collectionId)))];
+}
+
+// Positive whole number, or null for no limit
+function normalizeLimit(limit) {
+    const value = Math.floor(Number(limit));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Count one request against the client's quotas
+async function consumeClientQuota(client, env) {
+    if (!client.perMinute && !client.perDay) {
+        return { allowed: true };
+    }
+
+    const response = await getClientQuota(client.id, env).fetch('https://client-quota/consume', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ perMinute: client.perMinute, perDay: client.perDay })
+    });
+    return response.json();
+}
+
+// Get the Durable Object counting a client's quota
+function getClientQuota(clientId, env) {
+    return env.CLIENT_QUOTA.get(env.CLIENT_QUOTA.idFromName(clientId));
+}
+
+// Client Quota Durable Object
+// -----------------------------------------------------------
+// Fixed windows: the current minute and the current UTC day.
+
+export class ClientQuota {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+
+        try {
+            const now = Date.now();
+            const minuteStart = now - (now % 60000);
+            const dayStart = now - (now % 86400000);
+
+            const usage = (await this.state.storage.get('usage')) || { minuteStart, minute: 0, dayStart, day: 0 };
+            if (usage.minuteStart !== minuteStart) Object.assign(usage, { minuteStart, minute: 0 });
+            if (usage.dayStart !== dayStart) Object.assign(usage, { dayStart, day: 0 });
+
+            if (action === 'consume' && request.method === 'POST') {
+                const { perMinute, perDay } = await request.json();
+
+                // The daily quota is reported first, since it takes longer to recover
+                if (perDay && usage.day >= perDay) {
+                    return jsonResponse({ allowed: false, period: 'day', limit: perDay, retryAfter: Math.ceil((dayStart + 86400000 - now) / 1000) });
+                }
+                if (perMinute && usage.minute >= perMinute) {
+                    return jsonResponse({ allowed: false, period: 'minute', limit: perMinute, retryAfter: Math.ceil((minuteStart + 60000 - now) / 1000) });
+                }
+
+                usage.minute++;
+                usage.day++;
+                await this.state.storage.put('usage', usage);
+                return jsonResponse({ allowed: true });
+            }
+
+            if (action === 'usage') {
+                return jsonResponse({ minute: usage.minute, day: usage.day });
+            }
+
+            if (action === 'reset' && request.method === 'POST') {
+                await this.state.storage.deleteAll();
+                return jsonResponse({ reset: true });
+            }
+
+            return new Response('Not Found', { status: 404 });
+        } catch (error) {
+            console.error(`Client quota error (${action}): ${error.message}`);
+            return new Response(`Error: ${error.message}`, { status: 500 });
+        }
+    }
+}
+
+// JSON response for the quota object
+function jsonResponse(result) {
+    return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
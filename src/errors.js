@@ -0,0 +1,106 @@
+// Errors
+// -----------------------------------------------------------
+// Errors answered to clients. Each class stands for one HTTP status and a stable code clients can
+// switch on - messages are for humans and may change. errorResponse() turns any error into the JSON
+// envelope every endpoint answers with:
+//   { "error": { "code": "invalid_parameter", "message": "...", "parameter": "q", "retryAfter": null } }
+// Errors of other classes are internal_error (500) with a generic message - their details may name
+// storage, Durable Objects or upstream URLs, so they only go to the log (see getInternalError).
+
+// Base class - status, code and the envelope fields
+export class ApiError extends Error {
+    constructor(message, { status = 500, code = 'internal_error', parameter = null, retryAfter = null, headers = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.parameter = parameter;
+        this.retryAfter = retryAfter;
+        this.headers = headers;
+    }
+}
+
+// A parameter (or combination of parameters) the request can't be served with
+export class ValidationError extends ApiError {
+    constructor(message, parameter = null) {
+        super(message, { status: 400, code: 'invalid_parameter', parameter });
+    }
+}
+
+// Missing or wrong credentials
+export class UnauthorizedError extends ApiError {
+    constructor(message, headers = {}) {
+        super(message, { status: 401, code: 'unauthorized', headers });
+    }
+}
+
+// Credentials that don't allow the request
+export class ForbiddenError extends ApiError {
+    constructor(message, parameter = null) {
+        super(message, { status: 403, code: 'forbidden', parameter });
+    }
+}
+
+// Unknown route, photo, client, cache key - or no photo matching the filters
+export class NotFoundError extends ApiError {
+    constructor(message) {
+        super(message, { status: 404, code: 'not_found' });
+    }
+}
+
+// A rate limit or quota is used up - of the caller, or of every Unsplash access key
+export class RateLimitedError extends ApiError {
+    constructor(message, retryAfter) {
+        super(message, { status: 429, code: 'rate_limited', retryAfter });
+    }
+}
+
+// An image provider answered with an error (its HTTP status in upstreamStatus) or couldn't be reached
+export class UpstreamError extends ApiError {
+    constructor(message, upstreamStatus = null) {
+        super(message, { status: 502, code: 'upstream_error' });
+        this.upstreamStatus = upstreamStatus;
+    }
+}
+
+// The circuit breaker is open - Unsplash is skipped until it may have recovered
+export class CircuitOpenError extends ApiError {
+    constructor(message, retryAfter) {
+        super(message, { status: 503, code: 'circuit_open', retryAfter });
+    }
+}
+
+// Responses answering an internal error, and that error
+const internalErrors = new WeakMap();
+
+// JSON error envelope for an error, with Retry-After when the client should wait
+export function errorResponse(error) {
+    const apiError = error instanceof ApiError ? error : new ApiError('Internal server error.');
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store',
+        ...apiError.headers
+    };
+    if (apiError.retryAfter) {
+        headers['Retry-After'] = String(apiError.retryAfter);
+    }
+
+    const response = new Response(JSON.stringify({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            parameter: apiError.parameter,
+            retryAfter: apiError.retryAfter
+        }
+    }), { status: apiError.status, headers });
+    if (apiError !== error) {
+        internalErrors.set(response, error);
+    }
+    return response;
+}
+
+// The internal error a response made by errorResponse() stands for - null for other responses
+export function getInternalError(response) {
+    return internalErrors.get(response) || null;
+}
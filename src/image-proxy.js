@@ -0,0 +1,77 @@
+// Image Proxy
+// -----------------------------------------------------------
+// With format=bytes the worker answers with the image itself instead of a link to it, for pages whose
+// Content Security Policy doesn't allow the provider's image host and for email templates. Sized images
+// never change, so each is fetched once per edge location and kept in the Workers Cache API under its
+// image URL. The worker uses the default proxy unless env.IMAGE_PROXY holds one made by
+// createImageProxy, which the tests use to serve images from a local fake server.
+
+import { UpstreamError } from './errors.js';
+
+// How long the edge cache keeps a sized image - responses to clients set their own Cache-Control
+export const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Create a proxy fetching images with fetchFn and keeping them in cache (default: the Workers cache)
+export function createImageProxy({ fetch: fetchFn = (url, init) => fetch(url, init), cache = null } = {}) {
+    return {
+        fetch: fetchFn,
+
+        // The cache images are kept in - null where there is none
+        cache() {
+            if (cache) return cache;
+            return typeof caches === 'undefined' ? null : caches.default;
+        }
+    };
+}
+
+const defaultProxy = createImageProxy();
+
+// The image proxy of an environment
+export function getImageProxy(env) {
+    return env.IMAGE_PROXY || defaultProxy;
+}
+
+// Fetch an image through the edge cache - returns { response, cacheStatus } with the image as the body
+// and its Content-Type, ETag and the Cache-Control of the edge cache. Other headers of the image host are dropped.
+export async function fetchImage(imageUrl, env, ctx) {
+    const proxy = getImageProxy(env);
+    const cache = proxy.cache();
+    const cacheKey = new Request(imageUrl);
+
+    const cached = cache ? await cache.match(cacheKey) : null;
+    if (cached) {
+        return { response: cached, cacheStatus: 'HIT' };
+    }
+
+    const upstream = await proxy.fetch(imageUrl);
+    if (!upstream.ok) {
+        throw new UpstreamError(`Image fetch failed: ${upstream.status} ${upstream.statusText}`);
+    }
+
+    const contentType = upstream.headers.get('Content-Type') || '';
+    if (!contentType.startsWith('image/')) {
+        throw new UpstreamError(`Image fetch returned ${contentType || 'no Content-Type'} instead of an image`);
+    }
+
+    const headers = {
+        'Content-Type': contentType,
+        'ETag': upstream.headers.get('ETag') || await hashImageUrl(imageUrl),
+        'Cache-Control': IMAGE_CACHE_CONTROL
+    };
+    const contentLength = upstream.headers.get('Content-Length');
+    if (contentLength) {
+        headers['Content-Length'] = contentLength;
+    }
+
+    const response = new Response(upstream.body, { status: 200, headers });
+    if (cache) {
+        ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    }
+    return { response, cacheStatus: 'MISS' };
+}
+
+// ETag for an image host that sends none - a sized image URL always has the same bytes
+async function hashImageUrl(imageUrl) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(imageUrl));
+    return `"${[...new Uint8Array(digest).slice(0, 16)].map(byte => byte.toString(16).padStart(2, '0')).join('')}"`;
+}
@@ -1,77 +1,197 @@
+import { recordRequest, recordUnsplashCall, recordRefill, recordDownloadTracking, flushMetrics, getMetricsSnapshot, formatPrometheusMetrics } from './metrics.js';
+
+import { takeRateLimitTokens } from './rate-limiter.js';
+import { authenticateClient, getClientById, createClient, listClients, deleteClient, getClientUsage, describeClient, isCollectionAllowed } from './clients.js';
+import { getStorage } from './storage.js';
+import { getUnsplashClient } from './unsplash.js';
+import { buildPlaceholderSvg, buildPlaceholderDataUri } from './placeholder.js';
+import { pexelsProvider, staticProvider, getImageOrientation } from './providers.js';
+import { parseParams, getField, CACHE_KEY_PARAMETERS, RANDOM_PARAMETERS, DAILY_PARAMETERS, DAILY_HISTORY_PARAMETERS, SEARCH_PARAMETERS, PLACEHOLDER_PARAMETERS, MAX_BATCH_SIZE, PHOTO_ID_PATTERN } from './params.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { resolveMix, pickMixSource, saveMix, listMixes, deleteMix, getMix } from './mixes.js';
+import { fetchImage } from './image-proxy.js';
+import { ApiError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, RateLimitedError, UpstreamError, CircuitOpenError, errorResponse, getInternalError } from './errors.js';
+
+export { CacheCoordinator } from './cache-coordinator.js';
+export { MetricsAggregator } from './metrics.js';
+export { ClientQuota } from './clients.js';
+export { RateLimiter } from './rate-limiter.js';
+
 // Main request handler
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, ctx, env);
+  },
+  
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(prewarmPopularCaches(env)
+      .catch(error => console.error(`Pre-warm error: ${error.message}`))
+      .then(() => collectIdleCacheKeys(env))
+      .finally(() => flushMetrics(env, true)));
   }
 };
 
 async function handleRequest(request, ctx, env) {
+    const requestId = getRequestId(request);
+    
+    let response;
+    try {
+        response = await routeRequest(request, ctx, env);
+    } catch (error) {
+        response = errorResponse(error);
+    }
+    
+    // Clients only get a generic message for internal errors - the details go to the log
+    const internalError = getInternalError(response);
+    if (internalError) {
+        console.error(`Internal error for request ${requestId}: ${internalError.stack || internalError.message}`);
+    }
+    
+    // Send batched metrics in the background once the flush interval has passed
+    ctx.waitUntil(flushMetrics(env));
+    
+    // Every response carries the request ID, so a failing request can be found in the logs
+    response = answerConditionalRequest(request, response) || new Response(response.body, response);
+    response.headers.set('X-Request-Id', requestId);
+    return response;
+}
+
+// Helper: 304 Not Modified when the client already has the response - its ETag is in If-None-Match
+function answerConditionalRequest(request, response) {
+    const etag = response.headers.get('ETag');
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (response.status !== 200 || !etag || !ifNoneMatch) {
+        return null;
+    }
+    
+    // Weak comparison, as for GET requests
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    const tags = ifNoneMatch.split(',').map(opaque);
+    if (!tags.includes('*') && !tags.includes(opaque(etag))) {
+        return null;
+    }
+    
+    if (response.body) {
+        response.body.cancel();
+    }
+    const headers = new Headers(response.headers);
+    headers.delete('Content-Length');
+    return new Response(null, { status: 304, headers });
+}
+
+// Helper: ID of a request - the caller's X-Request-Id when it looks like one, else a new UUID
+function getRequestId(request) {
+    const requestId = request.headers.get('X-Request-Id');
+    return requestId && /^[a-zA-Z0-9._-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+async function routeRequest(request, ctx, env) {
     const url = new URL(request.url);
     
+    // Requests to the image endpoints may authenticate with an issued client key
+    let client = null;
+    if (url.pathname === '/random' || url.pathname === '/search' || url.pathname.startsWith('/photos/') || url.pathname.startsWith('/placeholder/')) {
+        const auth = await authenticateClient(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+        client = auth.client;
+    }
+    
     // API endpoints
     if (url.pathname === '/random') {
-        return handleRandomRequest(url, ctx, env);
+        return handleRandomRequest(request, url, ctx, env, client);
+    } else if (url.pathname === '/daily') {
+        return handleDailyRequest(request, url, ctx, env);
+    } else if (url.pathname === '/daily/history') {
+        return handleDailyHistoryRequest(request, url, env);
     } else if (url.pathname === '/cache-status') {
         return handleCacheStatusRequest(env);
+    } else if (url.pathname === '/search') {
+        return handleSearchRequest(request, url, env, client);
+    } else if (url.pathname.startsWith('/photos/')) {
+        return handlePhotoRequest(request, url, env, client);
+    } else if (url.pathname.startsWith('/placeholder/')) {
+        return handlePlaceholderRequest(request, url, env, client);
+    } else if (url.pathname === '/openapi.json') {
+        return handleOpenApiRequest(url);
+    } else if (url.pathname === '/metrics') {
+        return handleMetricsRequest(request, env);
+    } else if (url.pathname === '/stats') {
+        return handleStatsRequest(request, url, env);
+    } else if (url.pathname.startsWith('/admin/')) {
+        return handleAdminRequest(request, url, env);
     } else {
-        return new Response('Not Found', { status: 404 });
+        return errorResponse(new NotFoundError(`Unknown endpoint: ${url.pathname}`));
     }
 }
 
 // Handle random image requests
-async function handleRandomRequest(url, ctx, env) {
+async function handleRandomRequest(request, url, ctx, env, client = null) {
     try {
         // Parse and validate parameters
-        const params = {
-            orientation: validateOrientation(url.searchParams.get('orientation')),
-            collectionIds: sanitizeCollectionIds(url.searchParams.get('collections')),
-            addPhotoOfTheDay: url.searchParams.get('addPhotoOfTheDay') === 'true',
-            download: url.searchParams.get('dl') === 'true',
-            imageType: url.searchParams.get('url'),
-            width: sanitizeNumber(url.searchParams.get('w')) || '1920', // Default width 
-            height: sanitizeNumber(url.searchParams.get('h')) || '1080', // Default height
-            noCache: url.searchParams.get('nocache') === 'true',
-            crop: url.searchParams.get('crop'),
-            format: url.searchParams.get('fm'),
-            quality: sanitizeNumber(url.searchParams.get('q')),
-            fit: url.searchParams.get('fit'),
-            dpr: sanitizeNumber(url.searchParams.get('dpr')),
-            userApiKey: url.searchParams.get('apiKey')
-        };
+        const parsed = parseRequestParams(url, request, env, RANDOM_PARAMETERS);
+        if (parsed.response) {
+            return parsed.response;
+        }
+        
+        // A mix serves each request from one of its sources, with the source's filters in place of the
+        // request's. Every source is checked up front, so a mix never fails only on some requests.
+        const mix = parsed.params.mix ? await resolveMix(parsed.params.mix, env) : null;
+        if (mix && mix.error) {
+            return parameterErrorResponse(mix.error);
+        }
+        const candidates = mix
+            ? mix.sources.map(source => ({ ...parsed.params, ...source.params, mixSource: source, client, tenant: null }))
+            : [{ ...parsed.params, client, tenant: null }];
+        
+        for (const candidate of candidates) {
+            const paramsError = await validateProviderParams(candidate, env) || validateCollectionAccess(candidate, env);
+            if (paramsError) {
+                return paramsError;
+            }
+        }
+        const params = mix ? candidates[pickMixSource(mix.sources)] : candidates[0];
         
-        // Check for mutual exclusivity
-        if (params.addPhotoOfTheDay && params.collectionIds) {
-            return new Response('Error: Cannot use both addPhotoOfTheDay and collections parameters together.', { status: 400 });
+        // Custom collection caches belong to the client
+        if (params.collectionIds && !params.userApiKey && !isSharedCollection(params.collectionIds, env)) {
+            params.tenant = params.client.id;
         }
         
-        // If using custom collections without PhotoOfTheDay, require API key
-        if (params.collectionIds && !params.addPhotoOfTheDay && !params.userApiKey) {
-            return new Response('Error: When using custom collections, you must provide your own Unsplash API key with the "apiKey" parameter.', { status: 400 });
+        // Take tokens from the caller's rate limit buckets before any Unsplash call or new cache key
+        const rateLimitResponse = await enforceRateLimits(request, params, env);
+        if (rateLimitResponse) {
+            return rateLimitResponse;
         }
         
-        // Validate image type if provided
-        if (params.imageType && !['full', 'regular', 'small', 'thumb', 'raw'].includes(params.imageType)) {
-            return new Response('Invalid image type. Supported types: full, regular, small, thumb, raw', { status: 400 });
+        // Deal from the shuffled collection deck
+        if (params.mode === 'deck' && !params.noCache) {
+            return await handleDeckRequest(params, ctx, env);
+        }
+        
+        if (params.count !== null) {
+            return await handleBatchRequest(params, ctx, env);
         }
         
         // If using user's API key, skip caching and provide direct response
         if (params.userApiKey && params.collectionIds) {
             console.log('Using user-provided API key for custom collection request');
-            const imageData = await fetchImageFromUnsplash(params, env);
+            const imageData = await fetchRandomImage(params, env);
             
             // Track download if needed
             if (params.download) {
-                ctx.waitUntil(trackDownload(imageData.id, env, params.userApiKey));
+                ctx.waitUntil(trackDownload(imageData, env, getRequestApiKey(params)));
             }
             
-            return formatResponse(imageData, params);
+            recordRequest(generateCacheKey(params), 'custom', [imageData.id]);
+            return formatResponse(imageData, params, ctx, env);
         }
         
         // Generate cache key for this parameter combination
         const cacheKey = generateCacheKey(params);
         
-        // Get or initialize metadata for this cache key
-        let metadata = await getOrInitializeMetadata(cacheKey, env);
+        // Get metadata for this cache key, counting the request so the scheduled pre-warm knows which keys are popular
+        let metadata = await recordCacheRequest(cacheKey, env);
         
         // OPERATION PATTERN 1: Main cache has images - use it directly
         if (metadata.mainCache.count > 0 && !params.noCache) {
@@ -80,12 +200,7 @@ async function handleRandomRequest(url, ctx, env) {
             if (cacheResult.imageData) {
                 // Track download in background if needed
                 if (params.download) {
-                    ctx.waitUntil(trackDownload(cacheResult.imageData.id, env));
-                }
-                
-                // If metadata changed, update it
-                if (cacheResult.metadataChanged) {
-                    await updateMetadata(metadata, cacheKey, env);
+                    ctx.waitUntil(trackDownload(cacheResult.imageData, env, getCacheApiKey(params)));
                 }
                 
                 // Check if main cache is now empty after this request
@@ -94,39 +209,38 @@ async function handleRandomRequest(url, ctx, env) {
                     ctx.waitUntil(refillCacheSystem(metadata, cacheKey, params, env));
                 }
                 
-                return formatResponse(cacheResult.imageData, params);
+                recordRequest(cacheKey, 'main', [cacheResult.imageData.id]);
+                return formatResponse(cacheResult.imageData, params, ctx, env);
             }
         }
         
-        // OPERATION PATTERN 2: Main cache empty but buffer has images
-        if (metadata.mainCache.count === 0 && metadata.bufferCache.count > 0 && !params.noCache) {
-            console.log(`Main cache empty for key ${cacheKey} - fetching directly from buffer`);
+        // OPERATION PATTERN 2: Main cache empty (or fully seen by this session) but buffer has images
+        if ((metadata.mainCache.count === 0 || params.session) && metadata.bufferCache.count > 0 && !params.noCache) {
+            console.log(`No usable image in main cache for key ${cacheKey} - fetching directly from buffer`);
             
             // Get directly from buffer cache without copying to main first
             const cacheResult = await getImageFromCache(metadata, params, 'buffer', cacheKey, env);
             
             if (cacheResult.imageData) {
                 // Create response first
-                const response = formatResponse(cacheResult.imageData, params);
+                const response = await formatResponse(cacheResult.imageData, params, ctx, env);
                 
                 // Do all maintenance work in the background
                 ctx.waitUntil(async function() {
                     // Track download if needed
                     if (params.download) {
-                        await trackDownload(cacheResult.imageData.id, env);
-                    }
-                    
-                    // Update metadata if needed
-                    if (cacheResult.metadataChanged) {
-                        await updateMetadata(metadata, cacheKey, env);
+                        await trackDownload(cacheResult.imageData, env, getCacheApiKey(params));
                     }
                     
                     // Copy buffer to main and refill buffer in the background
-                    await copyBufferToMain(metadata, cacheKey, env);
-                    await refillBufferCache(metadata, cacheKey, params, env);
+                    if (metadata.mainCache.count === 0) {
+                        await copyBufferToMain(metadata, cacheKey, env);
+                        await refillBufferCache(metadata, cacheKey, params, env);
+                    }
                 }());
                 
                 // Return the response immediately, don't wait for background work
+                recordRequest(cacheKey, 'buffer', [cacheResult.imageData.id]);
                 return response;
             }
         }
@@ -134,12 +248,38 @@ async function handleRandomRequest(url, ctx, env) {
         // OPERATION PATTERN 3: COLD START or CACHE MISS - both caches empty
         console.log(`Cache miss or cold start for key ${cacheKey} - using direct API`);
         
-        // Fetch directly from Unsplash API
-        const imageData = await fetchImageFromUnsplash(params, env);
+        // Fetch directly from the providers, falling back to the stale pool if they are all failing. With little
+        // Unsplash quota left the stale pool is tried first for requests Unsplash serves, keeping the quota for keys
+        // without one.
+        let imageData = !params.noCache && await isUnsplashQuotaLow(params, env) ? await getStaleImage(cacheKey, env) : null;
+        let servedStale = Boolean(imageData);
+        try {
+            imageData = imageData || await fetchRandomImage(params, env);
+        } catch (error) {
+            imageData = await getStaleImage(cacheKey, env);
+            if (!imageData) {
+                throw error;
+            }
+            console.log(`Direct fetch failed for key ${cacheKey} (${error.message}) - serving stale image`);
+            servedStale = true;
+        }
         
         // Track download if needed
         if (params.download) {
-            ctx.waitUntil(trackDownload(imageData.id, env));
+            ctx.waitUntil(trackDownload(imageData, env, getCacheApiKey(params)));
+        }
+        
+        // Remember the fresh image in the session history
+        if (params.session) {
+            ctx.waitUntil(callCoordinator(cacheKey, env, 'remember', { session: params.session, ids: [imageData.id] }));
+        }
+        
+        recordRequest(cacheKey, servedStale ? 'stale' : 'direct', [imageData.id]);
+        
+        if (servedStale) {
+            const response = await formatResponse(imageData, params, ctx, env);
+            response.headers.set('X-Cache-Status', 'stale');
+            return response;
         }
         
         // If both caches are empty, trigger refill in background
@@ -152,495 +292,2048 @@ async function handleRandomRequest(url, ctx, env) {
             }));
         }
         
-        return formatResponse(imageData, params);
+        return formatResponse(imageData, params, ctx, env);
     } catch (error) {
         console.error(`Error in worker: ${error.message}`);
         
-        // Determine appropriate status code
-        let status = 500;
-        if (error.message.includes('Circuit breaker')) status = 503;
-        if (error.message.includes('Rate limit')) status = 429;
-        
-        return new Response(`Error: ${error.message}`, { status });
+        return errorResponse(error);
     }
 }
 
-// Helper: Format the response based on parameters
-function formatResponse(imageData, params) {
-    // Basic checks
-    if (!imageData || !imageData.urls) {
-        throw new Error('Invalid image data received');
+// Helper: Parse the query parameters of an endpoint and fill in the image size the caller left out
+// from its client hints - returns { params }, or { response } with a 400 naming the bad parameter
+function parseRequestParams(url, request, env, definitions) {
+    const { params, error } = parseParams(url, definitions);
+    if (error) {
+        return { response: parameterErrorResponse(error) };
     }
     
-    // Handle various response formats
-    if (params.download && params.imageType) {
-        // Return specific image type URL
-        const imageUrl = imageData.urls[params.imageType];
-        
-                    return new Response(JSON.stringify({
-                        imageUrl,
-            artistName: imageData.user.name,
-            artistProfileUrl: imageData.user.links.html,
-            photoId: imageData.id,
-            description: imageData.description || imageData.alt_description || "Unsplash Image"
-                    }), {
-                        status: 200,
-                        headers: {
-                            'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=300' // 5-minute cache
-            }
-        });
-    } else if (params.download && !params.imageType) {
-        // Handle dynamic resizing
-        const rawImageUrl = imageData.urls.raw;
-                const dynamicImageUrl = new URL(rawImageUrl);
-        
-        // Add parameters for dynamic resizing
-        if (params.width) dynamicImageUrl.searchParams.append('w', params.width);
-        if (params.height) dynamicImageUrl.searchParams.append('h', params.height);
-        if (params.crop) dynamicImageUrl.searchParams.append('crop', params.crop);
-        if (params.quality) dynamicImageUrl.searchParams.append('q', params.quality);
-        if (params.fit) dynamicImageUrl.searchParams.append('fit', params.fit);
-        if (params.dpr) dynamicImageUrl.searchParams.append('dpr', params.dpr);
-        
-        // Add auto=format if format is not provided
-        if (!params.format) {
-            dynamicImageUrl.searchParams.append('auto', 'format');
-        } else {
-            dynamicImageUrl.searchParams.append('fm', params.format);
-                }
-
-                // Return the direct link to the dynamically constructed image URL
-                return new Response(JSON.stringify({
-                    imageUrl: dynamicImageUrl.toString(),
-            artistName: imageData.user.name,
-            artistProfileUrl: imageData.user.links.html,
-            photoId: imageData.id,
-            description: imageData.description || imageData.alt_description || "Unsplash Image"
-                }), {
-                    status: 200,
-                    headers: {
-                        'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=300'
-                    }
-                });
-            } else {
-        // Return full photo data
-        return new Response(JSON.stringify(imageData), {
-            status: 200,
-                    headers: {
-                        'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'no-store' // Don't cache full responses
-            }
-        });
-    }
+    params.utmSource = env.UNSPLASH_APP_NAME || DEFAULT_UTM_SOURCE;
+    applyClientHints(params, request.headers);
+    return { params };
 }
 
-// Cache Management System
-// -----------------------------------------------------------
-
-// Generate a consistent, normalized cache key from parameters
-function generateCacheKey(params) {
-    // Include only the parameters that affect the content of images
-    const relevantParams = {
-        orientation: params.orientation || 'default',
-        collectionIds: params.collectionIds || 'none',
-        addPhotoOfTheDay: params.addPhotoOfTheDay || false
-    };
-    
-    // Sort keys to ensure consistent order
-    const sortedKeys = Object.keys(relevantParams).sort();
-    
-    // Build key-value pairs and join them
-    const keyParts = sortedKeys.map(key => {
-        const value = relevantParams[key];
-        // Skip default/empty values to make keys more concise
-        if (value === 'none' || value === false || value === 'default') {
-            return null;
-        }
-        return `${key}=${value}`;
-    }).filter(part => part !== null);
-    
-    // Create the final key, defaulting to 'default' if no parameters
-    const finalKey = keyParts.length > 0 ? keyParts.join('_') : 'default';
-    
-    console.log(`Generated cache key: ${finalKey}`);
-    return finalKey;
+// Helper: 400 response for a parameter that failed validation
+function parameterErrorResponse(error) {
+    return errorResponse(new ValidationError(error.message, error.parameter));
 }
 
-// Get or initialize cache metadata with parameter awareness
-async function getOrInitializeMetadata(cacheKey = 'default', env) {
-    const metaKey = `META_${cacheKey}`;
-    let metadata = await env.NAZKVHUBSTORE.get(metaKey, { type: 'json' });
+// Helper: Reject a requested provider that can't serve the request - returns a 400 response, or null
+// when it can. Fallback providers that can't serve it are just skipped.
+async function validateProviderParams(params, env) {
+    const provider = getProvider(params.provider);
+    if (!provider.supports(params)) {
+        return errorResponse(new ValidationError(`The ${provider.displayName} provider does not support the collections, topics, username or addPhotoOfTheDay parameters.`, 'provider'));
+    }
     
-    if (!metadata) {
-        console.log(`Initializing fresh metadata for cache key: ${cacheKey}`);
-        
-        metadata = {
-            mainCache: {
-                count: 0,          // Number of images in main cache
-                currentPointer: 0  // Current position (0-29)
-            },
-            bufferCache: {
-                count: 0,          // Number of images in buffer cache
-                currentPointer: 0  // Current position (0-29)
-            },
-            isRefilling: false,
-            lastRefillTime: 0,
-            cacheKey: cacheKey     // Store which cache key this belongs to
-        };
-        
-        // Initialize empty caches for this key
-        await env.NAZKVHUBSTORE.put(`MAIN_${cacheKey}`, JSON.stringify(Array(30).fill(null)));
-        await env.NAZKVHUBSTORE.put(`BUFFER_${cacheKey}`, JSON.stringify(Array(30).fill(null)));
-        await updateMetadata(metadata, cacheKey, env);
+    if (params.provider && !(await provider.isConfigured(env))) {
+        return errorResponse(new ValidationError(`The ${provider.displayName} provider is not configured.`, 'provider'));
     }
     
-    return metadata;
-}
-
-// Update metadata in KV store with parameter awareness
-async function updateMetadata(metadata, cacheKey = 'default', env) {
-    const metaKey = `META_${cacheKey}`;
-    return env.NAZKVHUBSTORE.put(metaKey, JSON.stringify(metadata));
+    return null;
 }
 
-// Get image from specific cache using pointer-based approach with parameter awareness
-async function getImageFromCache(metadata, params, cacheType = 'main', cacheKey = 'default', env) {
-    const cache = cacheType === 'main' ? metadata.mainCache : metadata.bufferCache;
-    const cacheStorageKey = cacheType === 'main' ? `MAIN_${cacheKey}` : `BUFFER_${cacheKey}`;
-    
-    // No images in this cache
-    if (cache.count === 0) {
-        return { imageData: null, metadataChanged: false };
+// Helper: Custom collections need an issued client key that allows them (or the caller's own Unsplash key),
+// unless every collection is on the shared cache allowlist - returns an error response, or null when allowed
+function validateCollectionAccess(params, env) {
+    if (!params.collectionIds || params.userApiKey || isSharedCollection(params.collectionIds, env)) {
+        return null;
     }
     
-    // Get the entire cache array with one operation
-    const cacheArray = await env.NAZKVHUBSTORE.get(cacheStorageKey, { type: 'json' });
-    if (!cacheArray) {
-        // Cache should exist but doesn't - recreate it
-        await env.NAZKVHUBSTORE.put(cacheStorageKey, JSON.stringify(Array(30).fill(null)));
-        cache.count = 0;
-        return { imageData: null, metadataChanged: true };
+    if (!params.client) {
+        return errorResponse(new ValidationError('When using custom collections, you must authenticate with a client key in the "X-API-Key" header.', 'collections'));
     }
     
-    // Since we're using parameter-specific caches, we can simplify this function
-    // We don't need to check criteria again - just find any non-null entry
-    let foundIndex = -1;
-    let startPointer = cache.currentPointer;
-    let loopCount = 0;
-    
-    // Look for any valid image in the cache
-    while (loopCount < 30) {  // Maximum 30 slots to check
-        // Move pointer to next position
-        cache.currentPointer = (cache.currentPointer + 1) % 30;
-        
-        // Check if this slot has an image
-        if (cacheArray[cache.currentPointer] !== null) {
-            foundIndex = cache.currentPointer;
-            break;
-        }
-        
-        loopCount++;
-        
-        // If we've checked all positions and found nothing
-        if (cache.currentPointer === startPointer) {
-            break;
-        }
+    if (!isCollectionAllowed(params.client, params.collectionIds)) {
+        return errorResponse(new ForbiddenError('Your API key is not allowed to use these collections.', 'collections'));
     }
     
-    // No image found
-    if (foundIndex === -1) {
-        console.log(`No images found in ${cacheType} cache for key ${cacheKey} despite count=${cache.count}`);
-        // Update count to match reality
-        cache.count = 0;
-        return { imageData: null, metadataChanged: true };
+    return null;
+}
+
+// Helper: Format the response based on parameters - with format=bytes the image itself
+async function formatResponse(imageData, params, ctx, env) {
+    if (params.outputFormat === 'bytes') {
+        return formatImageBytesResponse(imageData, params, ctx, env);
     }
+    return formatImagesResponse([imageData], params, false);
+}
+
+// Helper: Stream the sized image through the edge cache, with the photographer credit in headers
+async function formatImageBytesResponse(imageData, params, ctx, env) {
+    const { response: image, cacheStatus } = await fetchImage(buildImageUrl(imageData, params), env, ctx);
     
-    // Found an image - get it and clear the slot
-    const imageData = cacheArray[foundIndex];
-    cacheArray[foundIndex] = null;
-    cache.count--;
-    
-    // Update the cache with one operation
-    await env.NAZKVHUBSTORE.put(cacheStorageKey, JSON.stringify(cacheArray));
+    const attributionHeaders = buildAttributionHeaders(imageData, params);
+    const headers = new Headers(image.headers);
+    for (const [name, value] of Object.entries({ ...attributionHeaders, ...getClientHintHeaders(params), ...getMixSourceHeaders(params) })) {
+        headers.set(name, value);
+    }
+    headers.set('Access-Control-Allow-Origin', '*');
+    headers.set('Access-Control-Expose-Headers', [...Object.keys(attributionHeaders), 'ETag', 'X-Image-Cache', 'X-Mix-Source', 'X-Daily-Date'].join(', '));
+    headers.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    headers.set('X-Image-Cache', cacheStatus);
+    // Only the edge cache keeps the sized image for good - every request should get a new image
+    headers.set('Cache-Control', 'no-store');
     
-    return { imageData, metadataChanged: true };
+    return new Response(image.body, { status: 200, headers });
 }
 
-// Copy entire buffer cache to main cache - SYNCHRONOUS OPERATION
-async function copyBufferToMain(metadata, cacheKey = 'default', env) {
-    console.log(`Copying buffer to main cache for key: ${cacheKey}`);
+// Helper: Credit of an image as response headers. Header values are limited to ASCII, so other characters
+// are percent-encoded.
+function buildAttributionHeaders(imageData, params) {
+    const credit = buildCredit(imageData, params);
+    const headers = {
+        'X-Photo-Id': imageData.id,
+        'X-Photographer': credit.artistName,
+        'X-Photographer-Url': credit.artistProfileUrl,
+        'X-Photo-Url': credit.photoUrl,
+        'X-Photo-Provider': credit.providerName,
+        'X-Photo-Provider-Url': credit.providerUrl,
+        // Self-hosted images may come without a source name
+        'X-Attribution': `Photo by ${credit.artistName}${credit.providerName ? ` on ${credit.providerName}` : ''}`
+    };
     
-    try {
-        // Get buffer cache with minimal operations
-        const bufferArray = await env.NAZKVHUBSTORE.get(`BUFFER_${cacheKey}`, { type: 'json' });
-        
-        if (!bufferArray) {
-            throw new Error(`Buffer cache not found for key: ${cacheKey}`);
-        }
-        
-        // Copy buffer to main directly
-        await env.NAZKVHUBSTORE.put(`MAIN_${cacheKey}`, JSON.stringify(bufferArray));
-        
-        // Update metadata
-        metadata.mainCache.count = metadata.bufferCache.count;
-        metadata.mainCache.currentPointer = 0;  // Reset pointer for fresh access
-        await updateMetadata(metadata, cacheKey, env);
-        
-        console.log(`Buffer copy complete for key ${cacheKey}. Main cache now has ${metadata.mainCache.count} images`);
-        return metadata;
-    } catch (error) {
-        console.error(`Error copying buffer to main for key ${cacheKey}: ${error.message}`);
-        throw error;
-    }
+    return Object.fromEntries(Object.entries(headers)
+        .filter(([, value]) => value)
+        .map(([name, value]) => [name, String(value).replace(/[^\x20-\x7e]/gu, character => encodeURIComponent(character))]));
 }
 
-// Refill buffer cache with new images - ASYNCHRONOUS OPERATION
-async function refillBufferCache(metadata, cacheKey = 'default', params = {}, env) {
-    console.log(`Refilling buffer cache for key: ${cacheKey}`);
+// Helper: Format a batch response - each item has the same shape as a single response
+function formatBatchResponse(images, params) {
+    return formatImagesResponse(images, params, true);
+}
+
+// Helper: Build the response for one or more images in the requested output format
+function formatImagesResponse(images, params, isBatch) {
+    // Simplified image URL responses can be cached briefly, full photo data is not cached
+    const cacheControl = params.download ? 'public, max-age=300' : 'no-store'; // 5-minute cache
     
-    if (metadata.isRefilling) {
-        console.log(`Refill already in progress for key: ${cacheKey}, skipping`);
-        return metadata;
+    // Client hints to send next time, and the mix source the images came from
+    const extraHeaders = { ...getClientHintHeaders(params), ...getMixSourceHeaders(params) };
+    
+    if (params.outputFormat === 'redirect') {
+        // Send the client straight to the sized image - for <img src> and CSS url()
+        return new Response(null, {
+            status: 302,
+            headers: {
+                'Location': buildImageUrl(images[0], params),
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'no-store', // Every request should get a new image
+                ...extraHeaders
+            }
+        });
     }
     
-    try {
-        // Mark refill in progress
-        metadata.isRefilling = true;
-        await updateMetadata(metadata, cacheKey, env);
-        
-        // Fetch images in bulk (30 at once)
-        const fetchUrl = new URL('https://api.unsplash.com/photos/random');
-        fetchUrl.searchParams.append('count', '30');
-        
-        // Add parameters that affect the content
-        if (params.orientation) {
-            fetchUrl.searchParams.append('orientation', params.orientation);
-        }
-        
-        if (params.addPhotoOfTheDay) {
-            fetchUrl.searchParams.append('collections', '1459961'); // Photo of the day collection ID
-        } else if (params.collectionIds) {
-            fetchUrl.searchParams.append('collections', params.collectionIds);
-        }
+    if (params.outputFormat === 'html' || params.outputFormat === 'attribution') {
+        const isHtml = params.outputFormat === 'html';
+        const body = images.map(imageData => isHtml ? buildHtmlEmbed(imageData, params) : buildAttributionText(imageData, params)).join('\n');
         
-        // Make the API request
-        const response = await fetch(fetchUrl.toString(), {
+        return new Response(body + '\n', {
+            status: 200,
             headers: {
-                'Authorization': `Client-ID ${env.ACCESS_KEY}`,
-                'Accept-Version': 'v1'
+                'Content-Type': isHtml ? 'text/html; charset=utf-8' : 'text/markdown; charset=utf-8',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': cacheControl,
+                ...extraHeaders
             }
         });
-        
-        if (!response.ok) {
-            throw new Error(`Unsplash API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const fullImages = await response.json();
-        
-        // If we got no images back (rare but possible), mark as not refilling and return
-        if (!Array.isArray(fullImages) || fullImages.length === 0) {
-            console.log(`No images returned from API for key: ${cacheKey}`);
-            metadata.isRefilling = false;
-            await updateMetadata(metadata, cacheKey, env);
-            return metadata;
-        }
-        
-        // Process and optimize the images to store only what's needed
-        const optimizedImages = fullImages.map(img => ({
-            id: img.id,
-            urls: img.urls,
-            user: {
-                name: img.user.name,
-                links: { html: img.user.links.html }
-            },
-            width: img.width,
-            height: img.height,
-            description: img.description || img.alt_description,
-            current_user_collections: img.current_user_collections || []
-        }));
-        
-        // Update buffer cache with one operation
-        await env.NAZKVHUBSTORE.put(`BUFFER_${cacheKey}`, JSON.stringify(optimizedImages));
-        
-        // Update metadata
-        metadata.bufferCache.count = optimizedImages.length;
-        metadata.bufferCache.currentPointer = 0;
-        metadata.isRefilling = false;
-        metadata.lastRefillTime = Date.now();
-        await updateMetadata(metadata, cacheKey, env);
-        
-        console.log(`Buffer refill complete for key: ${cacheKey}, filled with ${optimizedImages.length} images`);
-        return metadata;
-    } catch (error) {
-        // Reset refill flag on error
-        metadata.isRefilling = false;
-        await updateMetadata(metadata, cacheKey, env);
-        console.error(`Refill error for key ${cacheKey}: ${error.message}`);
-        throw error;
     }
+    
+    const body = isBatch
+        ? { count: images.length, images: images.map(imageData => buildResponseBody(imageData, params)) }
+        : buildResponseBody(images[0], params);
+    
+    return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': cacheControl,
+            ...extraHeaders
+        }
+    });
 }
 
-// Helper function to trigger full cache system refresh - ASYNCHRONOUS OPERATION
-async function refillCacheSystem(metadata, cacheKey = 'default', params = {}, env) {
-    try {
-        console.log(`Triggering full cache system refresh for key: ${cacheKey}`);
-        
-        // First copy buffer to main
-        await copyBufferToMain(metadata, cacheKey, env);
-        
-        // Then refill buffer
-        await refillBufferCache(metadata, cacheKey, params, env);
-        
-        return metadata;
-    } catch (error) {
-        console.error(`Cache system refresh error for key ${cacheKey}: ${error.message}`);
-        throw error;
+// Helper: Build the response body for one image based on parameters
+function buildResponseBody(imageData, params) {
+    // Basic checks
+    if (!imageData || !imageData.urls) {
+        throw new Error('Invalid image data received');
+    }
+    
+    // Responsive image candidates, for <img srcset> and <img sizes>
+    const responsive = params.srcset ? { srcset: buildSrcset(imageData, params), sizes: params.sizes } : {};
+    
+    const mix = params.mixSource ? { mixSource: describeMixSource(params) } : {};
+    
+    // Return full photo data
+    if (!params.download) {
+        return { ...withReferralLinks(imageData, params), ...responsive, ...mix };
     }
+    
+    // Images cached before the placeholder fields were kept have them missing
+    const credit = buildCredit(imageData, params);
+    return {
+        imageUrl: buildImageUrl(imageData, params),
+        ...responsive,
+        artistName: credit.artistName,
+        artistProfileUrl: credit.artistProfileUrl,
+        photoId: imageData.id,
+        photoUrl: credit.photoUrl,
+        unsplashUrl: credit.unsplashUrl,
+        provider: getImageProvider(imageData).name,
+        providerName: credit.providerName,
+        providerUrl: credit.providerUrl,
+        description: imageData.description || imageData.alt_description || "Unsplash Image",
+        altDescription: getAltText(imageData),
+        blurHash: imageData.blur_hash || null,
+        color: imageData.color || null,
+        width: imageData.width,
+        height: imageData.height,
+        createdAt: imageData.created_at || null,
+        downloadLocation: (imageData.links && imageData.links.download_location) || null,
+        ...mix
+    };
 }
 
-// Check if image matches criteria
-function matchesCriteria(imageData, orientation, collectionIds, addPhotoOfTheDay) {
-    // Check orientation if specified
-    if (orientation) {
-        const imgOrientation = getImageOrientation(imageData);
-        if (imgOrientation !== orientation) return false;
+// Helper: The mix source a request was served from - its position in the mix (from 1), name, weight and cache key
+function describeMixSource(params) {
+    const { index, name, weight } = params.mixSource;
+    return { source: index + 1, name, weight, cacheKey: generateCacheKey(params) };
+}
+
+// Helper: Name (or position) of the mix source in a header, for output formats without a JSON body
+function getMixSourceHeaders(params) {
+    if (!params.mixSource) return {};
+    return { 'X-Mix-Source': params.mixSource.name || String(params.mixSource.index + 1) };
+}
+
+// Helper: Text for the alt attribute - the accessibility description first, the photographer's description second
+function getAltText(imageData) {
+    return imageData.alt_description || imageData.description || 'Unsplash Image';
+}
+
+// Helper: Build the sized image URL - each provider resizes its own way
+function buildImageUrl(imageData, params) {
+    // Basic checks
+    if (!imageData || !imageData.urls) {
+        throw new Error('Invalid image data received');
     }
     
-    // Check collection if specified
-    if (collectionIds) {
-        // Convert string to array of collection IDs
-        const collectionIdArray = collectionIds.split(',');
-        
-        // Check if image belongs to any of the specified collections
-        const imageCollections = imageData.current_user_collections || [];
-        const collectionMatch = imageCollections.some(collection => 
-            collectionIdArray.includes(String(collection.id))
-        );
-        
-        if (!collectionMatch) return false;
+    return getImageProvider(imageData).buildImageUrl(imageData, params);
+}
+
+// Helper: Unsplash image URL - a specific image type, or imgix resizing of the raw URL
+function buildUnsplashImageUrl(imageData, params) {
+    if (params.imageType) {
+        // Return specific image type URL
+        return imageData.urls[params.imageType];
     }
     
-    // Check for photo of the day
-    if (addPhotoOfTheDay) {
-        const imageCollections = imageData.current_user_collections || [];
-        const isPotd = imageCollections.some(collection => 
-            String(collection.id) === '1459961' // Photo of the day collection ID
-        );
-        
-        if (!isPotd) return false;
+    // Handle dynamic resizing
+    const dynamicImageUrl = new URL(imageData.urls.raw);
+    
+    // Add parameters for dynamic resizing
+    if (params.width) dynamicImageUrl.searchParams.append('w', params.width);
+    if (params.height) dynamicImageUrl.searchParams.append('h', params.height);
+    if (params.crop) dynamicImageUrl.searchParams.append('crop', params.crop);
+    if (params.quality) dynamicImageUrl.searchParams.append('q', params.quality);
+    if (params.fit) dynamicImageUrl.searchParams.append('fit', params.fit);
+    if (params.dpr) dynamicImageUrl.searchParams.append('dpr', params.dpr);
+    
+    // Add auto=format if format is not provided
+    if (!params.format) {
+        dynamicImageUrl.searchParams.append('auto', 'format');
+    } else {
+        dynamicImageUrl.searchParams.append('fm', params.format);
     }
     
-    return true; // Image matches all criteria
+    // Return the direct link to the dynamically constructed image URL
+    return dynamicImageUrl.toString();
 }
 
-// API and External Services
-// -----------------------------------------------------------
-
-// Fetch image directly from Unsplash API
-async function fetchImageFromUnsplash(params, env) {
-    const { orientation, collectionIds, addPhotoOfTheDay, userApiKey } = params;
+// Helper: Width-descriptor candidates of the raw image ("url 320w, url 640w, ..."), up to the photo's own width.
+// A requested height scales with each width so every candidate keeps the requested shape.
+function buildSrcset(imageData, params) {
+    const photoWidth = imageData.width || SRCSET_WIDTHS[SRCSET_WIDTHS.length - 1];
+    const widths = SRCSET_WIDTHS.filter(width => width < photoWidth).concat(Math.min(photoWidth, SRCSET_WIDTHS[SRCSET_WIDTHS.length - 1]));
     
-    const fetchUrl = new URL('https://api.unsplash.com/photos/random');
-    if (orientation) fetchUrl.searchParams.append('orientation', orientation);
+    const candidates = [...new Set(widths)].map(width => {
+        const height = params.height && params.width ? Math.round(width * params.height / params.width) : null;
+        return { url: buildImageUrl(imageData, { ...params, width, height, dpr: null }), width };
+    });
     
-    if (addPhotoOfTheDay) {
-        fetchUrl.searchParams.append('collections', '1459961'); // Photo of the day collection ID
-    } else if (collectionIds) {
-        fetchUrl.searchParams.append('collections', collectionIds);
+    // Providers that can't resize return the same URL for every width - that's one candidate at the photo's width
+    if (new Set(candidates.map(candidate => candidate.url)).size === 1) {
+        return `${candidates[0].url} ${photoWidth}w`;
     }
     
-    // Determine which API key to use
-    const apiKey = userApiKey || env.ACCESS_KEY;
+    return candidates.map(candidate => `${candidate.url} ${candidate.width}w`).join(', ');
+}
+
+// Helper: Fill in the size, DPR and format the caller left out from its client hints:
+// Width (the element's width in device pixels), Sec-CH-Viewport-Width (CSS pixels), Sec-CH-DPR and Accept.
+// Without hints the image is sized 1920x1080 as before.
+function applyClientHints(params, headers) {
+    const elementWidth = Number(headers.get('Width'));
+    const viewportWidth = Number(headers.get('Sec-CH-Viewport-Width'));
+    const dpr = Number(headers.get('Sec-CH-DPR'));
     
-    // Make the API request
-    const response = await fetch(fetchUrl.toString(), {
-        headers: {
-            'Authorization': `Client-ID ${apiKey}`,
-            'Accept-Version': 'v1'
+    // An explicit width is the slot size; otherwise the image spans the viewport
+    params.sizes = params.width ? `(max-width: ${params.width}px) 100vw, ${params.width}px` : '100vw';
+    
+    let inDevicePixels = false;
+    if (!params.width && !params.height) {
+        if (elementWidth > 0) {
+            params.width = roundHintWidth(elementWidth);
+            inDevicePixels = true;
+        } else if (viewportWidth > 0) {
+            params.width = roundHintWidth(viewportWidth);
+        } else {
+            params.width = 1920;
+            params.height = 1080;
         }
-    });
+    }
     
-    // Check for errors
-    if (!response.ok) {
-        const errorMsg = userApiKey 
-            ? `API error: ${response.status} ${response.statusText}. Please verify your API key is valid.`
-            : `API error: ${response.status} ${response.statusText}`;
-        throw new Error(errorMsg);
+    // Width is already in device pixels - scaling it by the DPR again would double it
+    if (!params.dpr && !inDevicePixels && dpr > 1) {
+        params.dpr = Math.min(Math.round(dpr * 10) / 10, MAX_HINT_DPR);
     }
     
-    const fullImage = await response.json();
+    if (!params.format) {
+        const accept = headers.get('Accept') || '';
+        if (accept.includes('image/avif')) {
+            params.format = 'avif';
+        } else if (accept.includes('image/webp')) {
+            params.format = 'webp';
+        }
+    }
+}
+
+// Helper: Resized URLs depend on the client hints - ask browsers to send them and keep caches apart
+function getClientHintHeaders(params) {
+    return params.imageType ? {} : {
+        'Accept-CH': CLIENT_HINTS.join(', '),
+        'Vary': ['Accept', ...CLIENT_HINTS].join(', ')
+    };
+}
+
+// Helper: Round a hinted width up to the next step, so similar screens share the same image URLs
+function roundHintWidth(width) {
+    return Math.min(Math.ceil(width / HINT_WIDTH_STEP) * HINT_WIDTH_STEP, MAX_HINT_WIDTH);
+}
+
+// Helper: Photographer credit and source of an image, as its provider wants them shown
+function buildCredit(imageData, params) {
+    return getImageProvider(imageData).buildCredit(imageData, params);
+}
+
+// Helper: Photographer credit with the referral links Unsplash's API guidelines require
+function buildUnsplashCredit(imageData, params) {
+    const photoPage = imageData.links && imageData.links.html
+        ? imageData.links.html
+        : `https://unsplash.com/photos/${imageData.id}`;
+    const unsplashUrl = withReferral('https://unsplash.com/', params);
     
-    // Return optimized image object to save space
     return {
-        id: fullImage.id,
-        urls: fullImage.urls,
-        user: {
-            name: fullImage.user.name,
-            links: { html: fullImage.user.links.html }
-        },
-        width: fullImage.width,
-        height: fullImage.height,
-        description: fullImage.description || fullImage.alt_description,
-        current_user_collections: fullImage.current_user_collections
+        artistName: imageData.user.name,
+        artistProfileUrl: withReferral(imageData.user.links.html, params),
+        photoUrl: withReferral(photoPage, params),
+        unsplashUrl,
+        providerName: 'Unsplash',
+        providerUrl: unsplashUrl
+    };
+}
+
+// Helper: Add the utm_source/utm_medium parameters to a link back to Unsplash
+function withReferral(link, params) {
+    const referralUrl = new URL(link);
+    referralUrl.searchParams.set('utm_source', params.utmSource || DEFAULT_UTM_SOURCE);
+    referralUrl.searchParams.set('utm_medium', 'referral');
+    return referralUrl.toString();
+}
+
+// Helper: Full photo data whose links back to Unsplash (photographer profile and photo page) carry the referral parameters
+function withReferralLinks(imageData, params) {
+    if (getImageProvider(imageData) !== unsplashProvider) {
+        return imageData;
+    }
+    
+    const credit = buildUnsplashCredit(imageData, params);
+    return {
+        ...imageData,
+        user: { ...imageData.user, links: { ...imageData.user.links, html: credit.artistProfileUrl } },
+        links: { ...imageData.links, html: credit.photoUrl }
+    };
+}
+
+// Helper: Ready-to-embed <figure> with the image and the photographer credit
+function buildHtmlEmbed(imageData, params) {
+    const credit = buildCredit(imageData, params);
+    const alt = getAltText(imageData);
+    
+    const responsive = params.srcset
+        ? ` srcset="${escapeHtml(buildSrcset(imageData, params))}" sizes="${escapeHtml(params.sizes)}"`
+        : '';
+    
+    // Self-hosted images may come without profile or source links
+    const link = (text, href) => href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+    const source = credit.providerName ? ` on ${link(credit.providerName, credit.providerUrl)}` : '';
+    
+    return [
+        '<figure class="unsplash-image">',
+        `  <img src="${escapeHtml(buildImageUrl(imageData, params))}"${responsive} alt="${escapeHtml(alt)}" loading="lazy">`,
+        `  <figcaption>Photo by ${link(credit.artistName, credit.artistProfileUrl)}${source}</figcaption>`,
+        '</figure>'
+    ].join('\n');
+}
+
+// Helper: Markdown credit line, readable as plain text too
+function buildAttributionText(imageData, params) {
+    const credit = buildCredit(imageData, params);
+    const link = (text, href) => {
+        const plain = text.replace(/[[\]]/g, '');
+        return href ? `[${plain}](${href})` : plain;
+    };
+    const source = credit.providerName ? ` on ${link(credit.providerName, credit.providerUrl)}` : '';
+    return `Photo by ${link(credit.artistName, credit.artistProfileUrl)}${source}`;
+}
+
+// Handle batch requests (count parameter) - returns up to 30 distinct images
+async function handleBatchRequest(params, ctx, env) {
+    const images = [];
+    const seenIds = new Set();
+    const addImages = (batch) => {
+        for (const imageData of batch) {
+            if (images.length < params.count && imageData && !seenIds.has(imageData.id)) {
+                seenIds.add(imageData.id);
+                images.push(imageData);
+            }
+        }
+    };
+    
+    // Custom collections with the user's own key skip caching like single requests
+    const useCache = !params.noCache && !(params.userApiKey && params.collectionIds);
+    const cacheKey = generateCacheKey(params);
+    let metadata = null;
+    
+    if (useCache) {
+        metadata = await recordCacheRequest(cacheKey, env);
+        
+        // Take from main cache first, then the buffer
+        const fromMain = await getImagesFromCache(metadata, 'main', params.count, cacheKey, env, params.session);
+        addImages(fromMain.images);
+        
+        if (images.length < params.count) {
+            const fromBuffer = await getImagesFromCache(metadata, 'buffer', params.count - images.length, cacheKey, env, params.session);
+            addImages(fromBuffer.images);
+        }
+    }
+    
+    // Cover any shortfall with a single provider call
+    const shortfall = params.count - images.length;
+    if (shortfall > 0) {
+        console.log(`Batch for key ${cacheKey} short by ${shortfall} images - using direct API`);
+        try {
+            const cachedCount = images.length;
+            addImages(await fetchRandomImages(params, shortfall, env, getRequestApiKey(params)));
+            
+            // Remember the fresh images in the session history
+            if (useCache && params.session && images.length > cachedCount) {
+                const ids = images.slice(cachedCount).map(imageData => imageData.id);
+                ctx.waitUntil(callCoordinator(cacheKey, env, 'remember', { session: params.session, ids }));
+            }
+        } catch (error) {
+            // Partial results from the cache are better than an error
+            if (images.length === 0) throw error;
+            console.error(`Batch shortfall fetch failed for key ${cacheKey}: ${error.message}`);
+        }
+    }
+    
+    // Track downloads in the background
+    if (params.download) {
+        ctx.waitUntil(Promise.all(images.map(imageData => trackDownload(imageData, env, getRequestApiKey(params)))));
+    }
+    
+    // Refill caches in the background if this batch drained them
+    if (useCache && metadata.mainCache.count === 0) {
+        if (metadata.bufferCache.count > 0) {
+            ctx.waitUntil(refillCacheSystem(metadata, cacheKey, params, env));
+        } else {
+            ctx.waitUntil(refillBufferCache(metadata, cacheKey, params, env).then(async (updatedMeta) => {
+                await copyBufferToMain(updatedMeta, cacheKey, env);
+                await refillBufferCache(updatedMeta, cacheKey, params, env);
+            }));
+        }
+    }
+    
+    recordRequest(cacheKey, 'batch', images.map(imageData => imageData.id));
+    return formatBatchResponse(images, params);
+}
+
+// Handle deck mode - deals every photo of the collection once before reshuffling
+async function handleDeckRequest(params, ctx, env) {
+    const cacheKey = generateCacheKey(params);
+    const count = params.count || 1;
+    
+    await recordCacheRequest(cacheKey, env);
+    let result = await callCoordinator(cacheKey, env, 'deck-deal', { count });
+    
+    if (result.needsBuild) {
+        // Cold deck - list the collection before answering
+        await buildDeck(result.metadata, cacheKey, params, env);
+        result = await callCoordinator(cacheKey, env, 'deck-deal', { count });
+    } else if (result.needsRebuild && (getRequestApiKey(params) || !(await isQuotaLow(env)))) {
+        // Pick up photos added to the collection since the deck was built (the old deck serves while quota is low)
+        ctx.waitUntil(buildDeck(result.metadata, cacheKey, params, env));
+    }
+    
+    let images = result.images;
+    if (images.length === 0) {
+        // Deck still being built by another request (or the collection is empty)
+        console.log(`Deck not available for key ${cacheKey} - using direct API`);
+        images = params.count
+            ? await fetchRandomImages(params, count, env, getRequestApiKey(params))
+            : [await fetchRandomImage(params, env)];
+    }
+    
+    // Track downloads in the background
+    if (params.download) {
+        ctx.waitUntil(Promise.all(images.map(imageData => trackDownload(imageData, env, getRequestApiKey(params)))));
+    }
+    
+    recordRequest(cacheKey, 'deck', images.map(imageData => imageData.id));
+    return params.count ? formatBatchResponse(images, params) : formatResponse(images[0], params, ctx, env);
+}
+
+// Image of the Day
+// -----------------------------------------------------------
+// One photo per calendar day and set of filters, the same for every visitor. Picks are stored in KV
+// for good (DAILY_<cache key>_<date>) and never change. The date depends on the caller's time zone,
+// but the pick for a date is shared by all time zones.
+
+// Handle /daily - today's photo, served with the usual output options
+async function handleDailyRequest(request, url, ctx, env) {
+    try {
+        const parsed = parseDailyParams(url, request, env, DAILY_PARAMETERS);
+        if (parsed.response) {
+            return parsed.response;
+        }
+        const params = parsed.params;
+        
+        const paramsError = validateDailyCollections(params, env) || await validateProviderParams(params, env);
+        if (paramsError) {
+            return paramsError;
+        }
+        
+        const rateLimitResponse = await enforceRateLimits(request, params, env);
+        if (rateLimitResponse) {
+            return rateLimitResponse;
+        }
+        
+        const date = getLocalDate(params.timeZone);
+        const imageData = await getDailyImage(date, params, env);
+        
+        if (params.download) {
+            ctx.waitUntil(trackDownload(imageData, env));
+        }
+        
+        recordRequest(generateCacheKey(params), 'daily', [imageData.id]);
+        
+        const response = await formatResponse(imageData, params, ctx, env);
+        response.headers.set('X-Daily-Date', date);
+        if (params.outputFormat === 'bytes') {
+            // The image of the day can be kept until the day ends in the requested time zone
+            response.headers.set('Cache-Control', `public, max-age=${getSecondsUntilNextDay(params.timeZone)}`);
+        }
+        return response;
+    } catch (error) {
+        console.error(`Error in daily: ${error.message}`);
+        
+        return errorResponse(error);
+    }
+}
+
+// Handle /daily/history - the stored picks between two dates (the last 30 days by default)
+async function handleDailyHistoryRequest(request, url, env) {
+    try {
+        const parsed = parseDailyParams(url, request, env, DAILY_HISTORY_PARAMETERS);
+        if (parsed.response) {
+            return parsed.response;
+        }
+        const params = parsed.params;
+        
+        const paramsError = validateDailyCollections(params, env) || await validateProviderParams(params, env);
+        if (paramsError) {
+            return paramsError;
+        }
+        
+        const to = params.to || getLocalDate(params.timeZone);
+        const from = params.from || shiftDate(to, 1 - DAILY_HISTORY_DEFAULT_DAYS);
+        if (from > to) {
+            return errorResponse(new ValidationError('from must not be later than to.', 'from'));
+        }
+        if (shiftDate(from, DAILY_HISTORY_MAX_DAYS - 1) < to) {
+            return errorResponse(new ValidationError(`The history covers at most ${DAILY_HISTORY_MAX_DAYS} days per request.`, 'from'));
+        }
+        
+        // Keys of longer cache keys share the prefix - only a bare date may follow it
+        const storage = getStorage(env);
+        const prefix = `DAILY_${generateCacheKey(params)}_`;
+        const days = [];
+        let cursor;
+        do {
+            const page = await storage.list({ prefix, cursor });
+            for (const name of page.keys) {
+                const date = name.slice(prefix.length);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date < from || date > to) continue;
+                
+                const pick = await storage.get(name);
+                if (pick) {
+                    days.push({ date, ...buildResponseBody(pick.imageData, { ...params, download: true }) });
+                }
+            }
+            cursor = page.cursor;
+        } while (cursor);
+        
+        return new Response(JSON.stringify({ from, to, days }), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=300',
+                ...getClientHintHeaders(params)
+            }
+        });
+    } catch (error) {
+        console.error(`Error in daily history: ${error.message}`);
+        return errorResponse(error);
+    }
+}
+
+// Helper: Parameters of the daily endpoints - the /random filters and output options, without any
+// of the per-caller options (keys, sessions, batches, decks)
+function parseDailyParams(url, request, env, definitions) {
+    const parsed = parseRequestParams(url, request, env, definitions);
+    if (parsed.params) {
+        Object.assign(parsed.params, {
+            noCache: false,
+            userApiKey: null,
+            client: null,
+            tenant: null,
+            count: null,
+            session: null,
+            mode: null
+        });
+    }
+    return parsed;
+}
+
+// Helper: Daily picks are shared by everyone, so only collections on the shared allowlist can be used
+function validateDailyCollections(params, env) {
+    if (params.collectionIds && !isSharedCollection(params.collectionIds, env)) {
+        return errorResponse(new ValidationError('/daily only supports collections listed in SHARED_CACHE_COLLECTIONS.', 'collections'));
+    }
+    return null;
+}
+
+// The photo of a date for a set of filters - the stored pick, or a new pick that is stored for good
+async function getDailyImage(date, params, env) {
+    const cacheKey = generateCacheKey(params);
+    const storageKey = `DAILY_${cacheKey}_${date}`;
+    
+    const stored = await getStorage(env).get(storageKey);
+    if (stored) {
+        return stored.imageData;
+    }
+    
+    // Take the candidate from the cache of the same filters when it has one, saving a provider call
+    let candidate = null;
+    const metadata = await peekMetadata(cacheKey, env);
+    if (metadata && metadata.mainCache.count > 0) {
+        candidate = (await getImageFromCache(metadata, params, 'main', cacheKey, env)).imageData;
+    }
+    candidate = candidate || await fetchRandomImage(params, env);
+    
+    // The coordinator keeps the first candidate, so concurrent first requests of the day agree
+    const { imageData } = await callCoordinator(cacheKey, env, 'daily', { date, imageData: candidate });
+    await getStorage(env).put(storageKey, { date, cacheKey, pickedAt: Date.now(), imageData });
+    
+    console.log(`Picked ${imageData.id} as the photo of ${date} for key ${cacheKey}`);
+    return imageData;
+}
+
+// Cache Management System
+// -----------------------------------------------------------
+
+// Generate a consistent, normalized cache key from parameters
+function generateCacheKey(params) {
+    // Include only the parameters that affect the content of images (see cacheKey in params.js),
+    // and the client owning the cache
+    const relevantParams = { tenant: params.tenant || null };
+    for (const definition of CACHE_KEY_PARAMETERS) {
+        relevantParams[getField(definition)] = params[getField(definition)];
+    }
+    
+    // Sort keys to ensure consistent order
+    const sortedKeys = Object.keys(relevantParams).sort();
+    
+    // Build key-value pairs and join them
+    const keyParts = sortedKeys.map(key => {
+        const value = relevantParams[key];
+        // Skip empty values to make keys more concise
+        if (value === null || value === undefined || value === false) {
+            return null;
+        }
+        return `${key}=${value}`;
+    }).filter(part => part !== null);
+    
+    // Create the final key, defaulting to 'default' if no parameters
+    const finalKey = keyParts.length > 0 ? keyParts.join('_') : 'default';
+    
+    console.log(`Generated cache key: ${finalKey}`);
+    return finalKey;
+}
+
+// Rebuild the content parameters from a cache key (inverse of generateCacheKey)
+function parseCacheKey(cacheKey) {
+    const params = { tenant: null };
+    for (const definition of CACHE_KEY_PARAMETERS) {
+        params[getField(definition)] = definition.type === 'boolean' ? false : null;
+    }
+    
+    if (cacheKey === 'default') {
+        return params;
+    }
+    
+    // Values may contain underscores (usernames, topic IDs), so only split where a new key starts
+    for (const part of cacheKey.split(/_(?=[a-zA-Z]+=)/)) {
+        const separator = part.indexOf('=');
+        const key = part.slice(0, separator);
+        const value = part.slice(separator + 1);
+        
+        const definition = CACHE_KEY_PARAMETERS.find(candidate => getField(candidate) === key);
+        if (definition) {
+            params[key] = definition.type === 'boolean' ? value === 'true' : value;
+        } else if (key === 'tenant') {
+            params.tenant = value;
+        }
+    }
+    
+    return params;
+}
+
+// Parameters for refilling a cache key outside a request - client caches also need the client
+// record for its private Unsplash key. Null when the client has been deleted.
+async function getRefillParams(cacheKey, env) {
+    const params = parseCacheKey(cacheKey);
+    
+    if (params.tenant) {
+        params.client = await getClientById(params.tenant, env);
+        if (!params.client) return null;
+    }
+    
+    return params;
+}
+
+// Get the Durable Object that coordinates the caches of a cache key
+function getCacheCoordinator(cacheKey = 'default', env) {
+    const id = env.CACHE_COORDINATOR.idFromName(cacheKey);
+    return env.CACHE_COORDINATOR.get(id);
+}
+
+// Run a cache operation on the coordinator for a cache key
+async function callCoordinator(cacheKey = 'default', env, action, payload = {}) {
+    const response = await getCacheCoordinator(cacheKey, env).fetch(`https://cache-coordinator/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cacheKey, ...payload })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Cache coordinator ${action} failed: ${await response.text()}`);
+    }
+    
+    return response.json();
+}
+
+// Get or initialize cache metadata with parameter awareness
+async function getOrInitializeMetadata(cacheKey = 'default', env) {
+    const { metadata } = await callCoordinator(cacheKey, env, 'metadata');
+    return metadata;
+}
+
+// Read cache metadata without initializing or restoring anything - null for unknown keys
+async function peekMetadata(cacheKey = 'default', env) {
+    const { metadata } = await callCoordinator(cacheKey, env, 'peek');
+    return metadata;
+}
+
+// List every cache key known to the KV backup
+async function listAllCacheKeys(env) {
+    const cacheKeys = [];
+    let cursor;
+    do {
+        const page = await getStorage(env).list({ prefix: 'META_', cursor });
+        cacheKeys.push(...page.keys.map(name => name.replace('META_', '')));
+        cursor = page.cursor;
+    } while (cursor);
+    
+    return cacheKeys;
+}
+
+// Count a request against a cache key and return its current metadata
+async function recordCacheRequest(cacheKey = 'default', env) {
+    const { metadata } = await callCoordinator(cacheKey, env, 'touch');
+    return metadata;
+}
+
+// Get image from specific cache using pointer-based approach with parameter awareness
+async function getImageFromCache(metadata, params, cacheType = 'main', cacheKey = 'default', env) {
+    // No images in this cache
+    const cache = cacheType === 'main' ? metadata.mainCache : metadata.bufferCache;
+    if (cache.count === 0) {
+        return { imageData: null };
+    }
+    
+    // The coordinator moves the pointer and clears the slot atomically
+    const result = await callCoordinator(cacheKey, env, 'pop', { cacheType, session: params.session });
+    Object.assign(metadata, result.metadata);
+    
+    return { imageData: result.imageData };
+}
+
+// Get several images from a specific cache in one pointer pass
+async function getImagesFromCache(metadata, cacheType = 'main', count = 1, cacheKey = 'default', env, session = null) {
+    const cache = cacheType === 'main' ? metadata.mainCache : metadata.bufferCache;
+    if (cache.count === 0) {
+        return { images: [] };
+    }
+    
+    const result = await callCoordinator(cacheKey, env, 'pop', { cacheType, count, session });
+    Object.assign(metadata, result.metadata);
+    
+    return { images: result.images };
+}
+
+// Move entire buffer cache to main cache - SYNCHRONOUS OPERATION
+async function copyBufferToMain(metadata, cacheKey = 'default', env) {
+    try {
+        const result = await callCoordinator(cacheKey, env, 'promote');
+        Object.assign(metadata, result.metadata);
+        return metadata;
+    } catch (error) {
+        console.error(`Error copying buffer to main for key ${cacheKey}: ${error.message}`);
+        throw error;
+    }
+}
+
+// Refill buffer cache with new images - ASYNCHRONOUS OPERATION
+async function refillBufferCache(metadata, cacheKey = 'default', params = {}, env) {
+    // Low on quota - keep serving the main cache and refill later. An empty main cache still
+    // refills, since one bulk call is cheaper than a direct call per request.
+    if (metadata.mainCache.count > 0 && await isUnsplashQuotaLow(params, env)) {
+        console.log(`Quota low - postponing buffer refill for key: ${cacheKey}`);
+        return metadata;
+    }
+    
+    console.log(`Refilling buffer cache for key: ${cacheKey}`);
+    
+    // Take the refill lock so concurrent requests don't start duplicate refills
+    const lock = await callCoordinator(cacheKey, env, 'refill-start');
+    Object.assign(metadata, lock.metadata);
+    
+    if (!lock.acquired) {
+        console.log(`Refill already in progress for key: ${cacheKey}, skipping`);
+        return metadata;
+    }
+    
+    const refillStart = Date.now();
+    try {
+        // Fetch a whole cache worth of images in one call
+        const capacity = metadata.capacity || MAX_BATCH_SIZE;
+        let optimizedImages = await fetchRandomImages(params, capacity, env, getCacheApiKey(params));
+        
+        // Filter rules may have removed much of the batch - top it up with a few more calls
+        const minBatchSize = Math.min(getNumericSetting(env.FILTER_MIN_BATCH_SIZE, 10), capacity);
+        const maxExtraFetches = getNumericSetting(env.FILTER_MAX_EXTRA_FETCHES, 2);
+        for (let extra = 0; extra < maxExtraFetches && optimizedImages.length < minBatchSize; extra++) {
+            const seenIds = new Set(optimizedImages.map(img => img.id));
+            const moreImages = await fetchRandomImages(params, capacity, env, getCacheApiKey(params));
+            optimizedImages = optimizedImages.concat(moreImages.filter(img => !seenIds.has(img.id))).slice(0, capacity);
+        }
+        
+        // If we got no images back (rare but possible), release the lock and return
+        if (optimizedImages.length === 0) {
+            console.log(`No images returned from API for key: ${cacheKey}`);
+            const result = await callCoordinator(cacheKey, env, 'refill-abort', { token: lock.token });
+            Object.assign(metadata, result.metadata);
+            recordRefill(false, Date.now() - refillStart);
+            return metadata;
+        }
+        
+        // Hand the batch to the coordinator, which also releases the lock - unless the lock expired
+        // and another refill took it over
+        const result = await callCoordinator(cacheKey, env, 'refill-complete', { images: optimizedImages, token: lock.token });
+        Object.assign(metadata, result.metadata);
+        
+        if (!result.stored) {
+            console.log(`Refill lock for key ${cacheKey} expired before the refill completed - batch dropped`);
+            recordRefill(false, Date.now() - refillStart);
+            return metadata;
+        }
+        
+        console.log(`Buffer refill complete for key: ${cacheKey}, filled with ${optimizedImages.length} images`);
+        recordRefill(true, Date.now() - refillStart);
+        return metadata;
+    } catch (error) {
+        // Release the refill lock on error
+        try {
+            const result = await callCoordinator(cacheKey, env, 'refill-abort', { token: lock.token });
+            Object.assign(metadata, result.metadata);
+        } catch (abortError) {
+            console.error(`Error releasing refill lock for key ${cacheKey}: ${abortError.message}`);
+        }
+        console.error(`Refill error for key ${cacheKey}: ${error.message}`);
+        recordRefill(false, Date.now() - refillStart);
+        throw error;
+    }
+}
+
+// Helper function to trigger full cache system refresh - ASYNCHRONOUS OPERATION
+async function refillCacheSystem(metadata, cacheKey = 'default', params = {}, env) {
+    try {
+        console.log(`Triggering full cache system refresh for key: ${cacheKey}`);
+        
+        // First copy buffer to main
+        await copyBufferToMain(metadata, cacheKey, env);
+        
+        // Then refill buffer
+        await refillBufferCache(metadata, cacheKey, params, env);
+        
+        return metadata;
+    } catch (error) {
+        console.error(`Cache system refresh error for key ${cacheKey}: ${error.message}`);
+        throw error;
+    }
+}
+
+// List the whole collection and hand it to the coordinator as a new deck - ASYNCHRONOUS OPERATION
+async function buildDeck(metadata, cacheKey = 'default', params = {}, env) {
+    // Reuse the refill lock so only one listing per deck runs at a time
+    const lock = await callCoordinator(cacheKey, env, 'refill-start');
+    Object.assign(metadata, lock.metadata);
+    
+    if (!lock.acquired) {
+        console.log(`Deck build already in progress for key: ${cacheKey}, skipping`);
+        return metadata;
+    }
+    
+    try {
+        const collectionIds = params.addPhotoOfTheDay ? ['1459961'] : params.collectionIds.split(',');
+        const maxPages = getNumericSetting(env.DECK_MAX_PAGES, 10);
+        
+        const photos = [];
+        for (const collectionId of collectionIds) {
+            photos.push(...await listCollectionPhotos(collectionId, params, maxPages, env, getRequestApiKey(params)));
+        }
+        
+        // Leave photos rejected by the filter rules out of the deck
+        const rules = await getFilterRules(env);
+        const accepted = applyFilterRules(photos, rules, params);
+        
+        const result = await callCoordinator(cacheKey, env, accepted.length > 0 ? 'deck-complete' : 'refill-abort', { photos: accepted, token: lock.token });
+        Object.assign(metadata, result.metadata);
+        return metadata;
+    } catch (error) {
+        // Release the lock on error
+        try {
+            const result = await callCoordinator(cacheKey, env, 'refill-abort', { token: lock.token });
+            Object.assign(metadata, result.metadata);
+        } catch (abortError) {
+            console.error(`Error releasing deck lock for key ${cacheKey}: ${abortError.message}`);
+        }
+        console.error(`Deck build error for key ${cacheKey}: ${error.message}`);
+        throw error;
+    }
+}
+
+// Rate Limiting
+// -----------------------------------------------------------
+
+// Cache keys this isolate has seen exist, so only unfamiliar keys cost a lookup
+const knownCacheKeys = new Set();
+const KNOWN_CACHE_KEYS_LIMIT = 10000;
+
+// Apply the token buckets of the caller (its client key, or its IP address) to a /random request:
+// every request, nocache requests and requests creating a new cache key each have their own budget.
+// Returns a 429 response when a bucket is empty, null otherwise.
+async function enforceRateLimits(request, params, env) {
+    const budgets = [getRequestBudget(params.client, env)];
+    
+    if (params.noCache) {
+        budgets.push({ name: 'nocache', capacity: getNumericSetting(env.RATE_LIMIT_NOCACHE_PER_MINUTE, 5), period: 60 });
+    }
+    
+    // Requests with the caller's own apiKey and custom collections never create cache keys
+    const usesCache = !(params.userApiKey && params.collectionIds);
+    if (usesCache && await isNewCacheKey(generateCacheKey(params), env)) {
+        budgets.push({ name: 'new-keys', capacity: getNumericSetting(env.RATE_LIMIT_NEW_KEYS_PER_HOUR, 20), period: 3600 });
+    }
+    
+    const error = await takeBudgets(request, params.client, budgets, env);
+    return error ? errorResponse(error) : null;
+}
+
+// Rate limits of the lookup endpoints (/search, /photos/:id, /placeholder/:id) - throws a RateLimitedError.
+// Lookups missing the KV cache call Unsplash, so they also take a token from the lookups bucket.
+async function enforceLookupRateLimits(request, client, uncached, env) {
+    const budgets = [getRequestBudget(client, env)];
+    if (uncached) {
+        budgets.push({ name: 'lookups', capacity: getNumericSetting(env.RATE_LIMIT_LOOKUPS_PER_MINUTE, 20), period: 60 });
+    }
+    
+    const error = await takeBudgets(request, client, budgets, env);
+    if (error) {
+        throw error;
+    }
+}
+
+// Helper: The per-minute budget every request of a caller takes a token from
+function getRequestBudget(client, env) {
+    const capacity = client
+        ? getNumericSetting(env.RATE_LIMIT_CLIENT_PER_MINUTE, 600)
+        : getNumericSetting(env.RATE_LIMIT_IP_PER_MINUTE, 60);
+    return { name: 'requests', capacity, period: 60 };
+}
+
+// Helper: Take a token from each budget of the caller (the client, else the IP address) - returns
+// a RateLimitedError when a bucket is empty, else null
+async function takeBudgets(request, client, budgets, env) {
+    const subject = client
+        ? `client:${client.id}`
+        : `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+    
+    // A budget of 0 turns that limit off
+    const result = await takeRateLimitTokens(subject, budgets.filter(budget => budget.capacity > 0), env);
+    if (result.allowed) {
+        return null;
+    }
+    
+    console.log(`Rate limit '${result.bucket}' exceeded by ${subject}`);
+    return new RateLimitedError(`Rate limit exceeded (${result.bucket}), retry in ${result.retryAfter}s`, result.retryAfter);
+}
+
+// Check whether a request would create a cache key the coordinators don't know yet
+async function isNewCacheKey(cacheKey, env) {
+    if (knownCacheKeys.has(cacheKey)) {
+        return false;
+    }
+    
+    const metadata = await peekMetadata(cacheKey, env);
+    if (metadata) {
+        if (knownCacheKeys.size >= KNOWN_CACHE_KEYS_LIMIT) {
+            knownCacheKeys.clear();
+        }
+        knownCacheKeys.add(cacheKey);
+    }
+    
+    return !metadata;
+}
+
+// Check whether every collection of a comma-separated list is on the SHARED_CACHE_COLLECTIONS allowlist
+function isSharedCollection(collectionIds, env) {
+    const allowlist = String(env.SHARED_CACHE_COLLECTIONS || '').split(',').map(collectionId => collectionId.trim()).filter(Boolean);
+    return collectionIds.split(',').every(collectionId => allowlist.includes(collectionId));
+}
+
+// Scheduled Pre-warming
+// -----------------------------------------------------------
+
+const MIN_CACHE_SIZE = 5; // Fewest images a buffer must hold to replace the main cache (capped at the cache capacity)
+
+// Refill the caches of the most requested keys - runs from the cron trigger
+async function prewarmPopularCaches(env) {
+    const keyLimit = getNumericSetting(env.PREWARM_KEY_LIMIT, 10);
+    const threshold = getNumericSetting(env.PREWARM_THRESHOLD, 10);
+    let budget = getNumericSetting(env.PREWARM_REQUEST_BUDGET, 5);
+    
+    console.log(`Pre-warm started: top ${keyLimit} keys, threshold ${threshold}, budget ${budget} requests`);
+    
+    // Collect the KV metadata backups of every cache key to rank them
+    const entries = [];
+    for (const cacheKey of await listAllCacheKeys(env)) {
+        const metadata = await getStorage(env).get(`META_${cacheKey}`);
+        if (metadata) {
+            entries.push({ cacheKey, metadata });
+        }
+    }
+    
+    // Most requested keys first
+    entries.sort((a, b) => (b.metadata.requestCount || 0) - (a.metadata.requestCount || 0));
+    
+    let warmed = 0;
+    for (const { cacheKey } of entries.slice(0, keyLimit)) {
+        // Decide on the live state held by the coordinator, not the backup
+        const metadata = await getOrInitializeMetadata(cacheKey, env);
+        
+        if (metadata.isRefilling) {
+            console.log(`Pre-warm: refill already in progress for key ${cacheKey}, skipping`);
+            continue;
+        }
+        
+        const params = await getRefillParams(cacheKey, env);
+        if (!params) {
+            console.log(`Pre-warm: client of key ${cacheKey} no longer exists, skipping`);
+            continue;
+        }
+        
+        // The remaining Unsplash quota is kept for live requests - keys other providers serve still warm
+        if (await isUnsplashQuotaLow(params, env)) {
+            console.log(`Pre-warm: Unsplash quota is low, skipping key ${cacheKey}`);
+            continue;
+        }
+        
+        // Deck keys have no main/buffer caches - relist them once they are older than the rebuild interval.
+        // Decks built with a caller's apiKey parameter can only be rebuilt on the request path.
+        if (params.mode === 'deck') {
+            const rebuildAfter = getNumericSetting(env.DECK_REBUILD_HOURS, 24) * 3600000;
+            const deckAge = Date.now() - (metadata.deck ? metadata.deck.builtAt : 0);
+            const pagesNeeded = estimateDeckPages(metadata, params, env);
+            
+            const needsCallerKey = params.collectionIds && !params.tenant && !isSharedCollection(params.collectionIds, env);
+            if (needsCallerKey || deckAge < rebuildAfter || pagesNeeded > budget) {
+                continue;
+            }
+            
+            budget -= pagesNeeded;
+            try {
+                await buildDeck(metadata, cacheKey, params, env);
+                warmed++;
+            } catch (error) {
+                console.error(`Pre-warm deck error for key ${cacheKey}: ${error.message}`);
+            }
+            continue;
+        }
+        
+        // A key holding fewer images than the threshold counts as low only below its capacity
+        const keyThreshold = Math.min(threshold, metadata.capacity);
+        const mainLow = metadata.mainCache.count < keyThreshold;
+        const bufferLow = metadata.bufferCache.count < keyThreshold;
+        if (!mainLow && !bufferLow) {
+            continue;
+        }
+        
+        // Promoting the buffer always needs a buffer refill afterwards, and a buffer too small
+        // to replace main needs one more refill before it can be promoted
+        const minBufferSize = Math.min(MIN_CACHE_SIZE, metadata.capacity);
+        const requestsNeeded = mainLow && metadata.bufferCache.count < minBufferSize ? 2 : 1;
+        if (requestsNeeded > budget) {
+            console.log(`Pre-warm: request budget exhausted before key ${cacheKey}`);
+            break;
+        }
+        
+        budget -= requestsNeeded;
+        
+        try {
+            if (mainLow) {
+                if (metadata.bufferCache.count < minBufferSize) {
+                    await refillBufferCache(metadata, cacheKey, params, env);
+                }
+                
+                // A refill that failed or came back short would leave main with even fewer images
+                if (metadata.bufferCache.count < minBufferSize) {
+                    console.log(`Pre-warm: buffer of key ${cacheKey} holds ${metadata.bufferCache.count} images - not promoting`);
+                    continue;
+                }
+                await refillCacheSystem(metadata, cacheKey, params, env);
+            } else {
+                await refillBufferCache(metadata, cacheKey, params, env);
+            }
+            warmed++;
+        } catch (error) {
+            console.error(`Pre-warm error for key ${cacheKey}: ${error.message}`);
+            
+            // No point in trying other keys while Unsplash is failing or the quota is gone
+            if (error instanceof CircuitOpenError || error instanceof RateLimitedError) {
+                break;
+            }
+        }
+    }
+    
+    console.log(`Pre-warm finished: ${warmed} keys warmed, ${budget} requests left`);
+}
+
+// Unsplash requests relisting a deck takes, estimated from the size of its last build: every collection
+// is listed in pages of 30 until a short page, up to DECK_MAX_PAGES pages
+function estimateDeckPages(metadata, params, env) {
+    const maxPages = getNumericSetting(env.DECK_MAX_PAGES, 10);
+    const collections = params.addPhotoOfTheDay ? 1 : params.collectionIds.split(',').length;
+    const size = metadata.deck ? metadata.deck.size : 0;
+    return Math.min(maxPages * collections, Math.floor(size / 30) + collections);
+}
+
+// Idle Key Collection
+// -----------------------------------------------------------
+
+// Delete cache keys nobody has requested for CACHE_IDLE_DAYS, and keys of deleted clients - runs from the cron trigger
+async function collectIdleCacheKeys(env) {
+    const idleDays = getNumericSetting(env.CACHE_IDLE_DAYS, 30);
+    const deleteLimit = getNumericSetting(env.CACHE_GC_LIMIT, 50);
+    if (idleDays === 0) {
+        return;
+    }
+    
+    const idleAfter = idleDays * 86400000;
+    const now = Date.now();
+    let deleted = 0;
+    
+    for (const cacheKey of await listAllCacheKeys(env)) {
+        if (deleted >= deleteLimit) {
+            console.log(`Idle key collection: delete limit of ${deleteLimit} reached, continuing next run`);
+            break;
+        }
+        
+        // The KV backup of the request time is throttled, which is precise enough for days
+        const metadata = await getStorage(env).get(`META_${cacheKey}`);
+        if (!metadata) continue;
+        
+        const lastActive = Math.max(metadata.lastRequestTime || 0, metadata.createdAt || 0);
+        const { tenant } = parseCacheKey(cacheKey);
+        const orphaned = tenant && !(await getClientById(tenant, env));
+        if (now - lastActive < idleAfter && !orphaned) continue;
+        
+        try {
+            await callCoordinator(cacheKey, env, 'delete');
+            deleted++;
+            console.log(`Idle key collection: deleted ${cacheKey} (${orphaned ? 'client deleted' : `idle ${Math.floor((now - lastActive) / 86400000)} days`})`);
+        } catch (error) {
+            console.error(`Idle key collection error for key ${cacheKey}: ${error.message}`);
+        }
+    }
+    
+    console.log(`Idle key collection finished: ${deleted} keys deleted`);
+}
+
+// Content Filtering
+// -----------------------------------------------------------
+
+const FILTER_RULES_KEY = 'FILTER_RULES';
+
+// Filter rules - local copy of the deploy-time defaults merged with the KV overrides
+const filterRulesCache = {
+    rules: null,
+    syncInterval: 60000, // How long the local copy is trusted before re-reading KV
+    lastSync: 0
+};
+
+// Load the filter rules: FILTER_RULES var as defaults, FILTER_RULES in KV overrides them field by field
+async function getFilterRules(env) {
+    const now = Date.now();
+    if (filterRulesCache.rules && now - filterRulesCache.lastSync < filterRulesCache.syncInterval) {
+        return filterRulesCache.rules;
+    }
+    
+    let defaults = env.FILTER_RULES || {};
+    if (typeof defaults === 'string') {
+        try {
+            defaults = JSON.parse(defaults);
+        } catch (error) {
+            console.error(`Invalid FILTER_RULES variable: ${error.message}`);
+            defaults = {};
+        }
+    }
+    
+    let overrides = {};
+    try {
+        overrides = (await getStorage(env).get(FILTER_RULES_KEY)) || {};
+    } catch (error) {
+        console.error(`Error loading filter rules: ${error.message}`);
+    }
+    
+    filterRulesCache.rules = normalizeFilterRules({ ...defaults, ...overrides });
+    filterRulesCache.lastSync = now;
+    return filterRulesCache.rules;
+}
+
+// Bring filter rules into a predictable shape (lowercase lists, numeric sizes)
+function normalizeFilterRules(rules) {
+    const toList = (value) => (Array.isArray(value) ? value : []).map(item => String(item).toLowerCase());
+    
+    return {
+        blockedPhotoIds: toList(rules.blockedPhotoIds),
+        blockedPhotographers: toList(rules.blockedPhotographers).map(name => name.replace(/^@/, '')),
+        minWidth: Number(rules.minWidth) || 0,
+        minHeight: Number(rules.minHeight) || 0,
+        strictOrientation: rules.strictOrientation === true,
+        requiredKeywords: toList(rules.requiredKeywords),
+        forbiddenKeywords: toList(rules.forbiddenKeywords)
+    };
+}
+
+// Keep only the images that pass the filter rules
+function applyFilterRules(images, rules, params = {}) {
+    const accepted = images.filter(imageData => matchesCriteria(imageData, rules, params.orientation));
+    
+    if (accepted.length < images.length) {
+        console.log(`Filter rules rejected ${images.length - accepted.length} of ${images.length} images`);
+    }
+    
+    return accepted;
+}
+
+// Check if image matches the filter rules
+// (Collections can't be checked here: current_user_collections is only filled for OAuth users)
+function matchesCriteria(imageData, rules, orientation = null) {
+    // Check blocked photos and photographers
+    if (rules.blockedPhotoIds.includes(String(imageData.id).toLowerCase())) return false;
+    
+    const username = getPhotographerUsername(imageData);
+    if (username && rules.blockedPhotographers.includes(username)) return false;
+    
+    // Check minimum resolution
+    if (rules.minWidth && (imageData.width || 0) < rules.minWidth) return false;
+    if (rules.minHeight && (imageData.height || 0) < rules.minHeight) return false;
+    
+    // Check the actual pixel ratio - Unsplash's own orientation filter is loose
+    if (rules.strictOrientation && orientation) {
+        const imgOrientation = getImageOrientation(imageData);
+        if (imgOrientation !== orientation) return false;
+    }
+    
+    // Check description keywords (both descriptions) - any required keyword is enough, any forbidden keyword rejects
+    const description = [imageData.description, imageData.alt_description].filter(text => text).join(' ').toLowerCase();
+    if (rules.requiredKeywords.length > 0 && !rules.requiredKeywords.some(keyword => description.includes(keyword))) {
+        return false;
+    }
+    if (rules.forbiddenKeywords.some(keyword => description.includes(keyword))) return false;
+    
+    return true; // Image matches all criteria
+}
+
+// Image Providers
+// -----------------------------------------------------------
+// Unsplash is one provider among several (the others are in providers.js). provider= picks the one a
+// request starts with (Unsplash by default), fallback= (or the PROVIDER_FALLBACK variable) lists the ones
+// to try when it fails. Both are part of the cache key, so a cache holds images of its own providers.
+
+const unsplashProvider = {
+    name: 'unsplash',
+    displayName: 'Unsplash',
+    isConfigured: async (env) => getAccessKeys(env).length > 0,
+    supports: () => true,
+    fetchRandom: (params, env) => fetchImageFromUnsplash(params, env),
+    fetchBatch: (params, count, env, userApiKey) => fetchImagesFromUnsplash(params, count, env, userApiKey),
+    buildImageUrl: buildUnsplashImageUrl,
+    buildCredit: buildUnsplashCredit,
+    trackDownload: (imageData, env, userApiKey) => trackUnsplashDownload(imageData.id, env, userApiKey)
+};
+
+const PROVIDERS = {
+    unsplash: unsplashProvider,
+    pexels: pexelsProvider,
+    static: staticProvider
+};
+
+// Get a provider by name - Unsplash when none is given
+function getProvider(name) {
+    return PROVIDERS[name || 'unsplash'];
+}
+
+// Get the provider an image came from (images cached before providers existed are all Unsplash's)
+function getImageProvider(imageData) {
+    return PROVIDERS[imageData.provider] || unsplashProvider;
+}
+
+// Providers to try for a request, in order: the requested one, then the fallbacks that are
+// configured and can apply the request's filters
+async function getProviderChain(params, env) {
+    const chain = [getProvider(params.provider)];
+    const fallback = params.fallback || env.PROVIDER_FALLBACK || '';
+    
+    for (const name of fallback.split(',')) {
+        const provider = PROVIDERS[name.trim().toLowerCase()];
+        if (provider && !chain.includes(provider) && provider.supports(params) && await provider.isConfigured(env)) {
+            chain.push(provider);
+        }
+    }
+    
+    return chain;
+}
+
+// True when the provider a request resolves to (the first configured one of its chain) is Unsplash and
+// the pool is nearly out of quota - requests other providers serve don't spend Unsplash quota
+async function isUnsplashQuotaLow(params, env) {
+    for (const provider of await getProviderChain(params, env)) {
+        if (await provider.isConfigured(env)) {
+            return provider === unsplashProvider && await isQuotaLow(env);
+        }
+    }
+    return false;
+}
+
+// Run a fetch against the provider chain until a provider delivers. An empty batch also moves on
+// to the next provider, but is returned when no provider has anything better.
+async function withProviderFallback(params, env, fetchFrom) {
+    let lastError = null;
+    let emptyResult = null;
+    
+    const chain = await getProviderChain(params, env);
+    for (const [index, provider] of chain.entries()) {
+        const next = chain[index + 1] ? ` - trying ${chain[index + 1].displayName}` : '';
+        try {
+            const result = await fetchFrom(provider);
+            if (!Array.isArray(result) || result.length > 0) {
+                return result;
+            }
+            emptyResult = result;
+            console.log(`${provider.displayName} returned no images${next}`);
+        } catch (error) {
+            lastError = error;
+            console.log(`${provider.displayName} failed (${error.message})${next}`);
+        }
+    }
+    
+    if (emptyResult) {
+        return emptyResult;
+    }
+    throw lastError;
+}
+
+// Fetch one random image from the provider chain. Images of every provider pass the filter rules here -
+// the providers themselves don't apply them.
+async function fetchRandomImage(params, env) {
+    const rules = await getFilterRules(env);
+    
+    return withProviderFallback(params, env, async (provider) => {
+        const imageData = await provider.fetchRandom(params, env);
+        if (matchesCriteria(imageData, rules, params.orientation)) {
+            return imageData;
+        }
+        
+        // Rejected by the filter rules - one batch gives a better chance of a match than retrying singly
+        console.log(`Image ${imageData.id} rejected by filter rules - fetching a batch instead`);
+        const batch = await provider.fetchBatch(params, MAX_BATCH_SIZE, env, getRequestApiKey(params));
+        const [candidate] = applyFilterRules(batch, rules, params);
+        if (!candidate) {
+            throw new NotFoundError('No image matching the filter rules was found');
+        }
+        return candidate;
+    });
+}
+
+// Fetch several random images from the provider chain
+async function fetchRandomImages(params, count, env, userApiKey = null) {
+    const rules = await getFilterRules(env);
+    
+    return withProviderFallback(params, env, async (provider) => {
+        return applyFilterRules(await provider.fetchBatch(params, count, env, userApiKey), rules, params);
+    });
+}
+
+// Track a download with the provider of the image
+async function trackDownload(imageData, env, userApiKey = null) {
+    return getImageProvider(imageData).trackDownload(imageData, env, userApiKey);
+}
+
+// API and External Services
+// -----------------------------------------------------------
+
+// Fetch image directly from Unsplash API
+async function fetchImageFromUnsplash(params, env) {
+    const userApiKey = getRequestApiKey(params);
+    
+    const fetchUrl = getUnsplashClient(env).url('/photos/random');
+    appendRandomFilters(fetchUrl, params);
+    
+    // Make the API request
+    const requestImage = async () => {
+        const response = await fetchUnsplash(fetchUrl, env, 'random', userApiKey);
+        
+        // Check for errors
+        if (!response.ok) {
+            const errorMsg = userApiKey 
+                ? `API error: ${response.status} ${response.statusText}. Please verify your API key is valid.`
+                : `API error: ${response.status} ${response.statusText}`;
+            throw new UpstreamError(errorMsg, response.status);
+        }
+        
+        return response.json();
+    };
+    
+    const fullImage = await withCircuitBreaker('direct fetch', env, requestImage, userApiKey);
+    
+    // Return optimized image object to save space
+    return optimizeImage(fullImage);
+}
+
+// Call the Unsplash API with the caller's key, or with the first access key of the pool that has
+// quota left - rotating to the next key when one runs out
+async function fetchUnsplash(fetchUrl, env, operation, userApiKey = null) {
+    if (userApiKey) {
+        return requestUnsplash(fetchUrl, userApiKey, operation, env);
+    }
+    
+    if (getAccessKeys(env).length === 0) {
+        throw new Error('No Unsplash access key configured');
+    }
+    
+    for (const { apiKey, id } of await getUsableAccessKeys(env)) {
+        const response = await requestUnsplash(fetchUrl, apiKey, operation, env);
+        await updateRateLimit(apiKey, response, env);
+        
+        if (!isRateLimitResponse(response)) {
+            return response;
+        }
+        console.log(`Access key ${id} ran out of quota during ${operation} - rotating`);
+    }
+    
+    throw await createRateLimitError(env);
+}
+
+// Send one request to the Unsplash API, counting the call and its status in the metrics
+async function requestUnsplash(fetchUrl, apiKey, operation, env) {
+    try {
+        const response = await getUnsplashClient(env).fetch(fetchUrl, {
+            headers: {
+                'Authorization': `Client-ID ${apiKey}`,
+                'Accept-Version': 'v1'
+            }
+        });
+        recordUnsplashCall(operation, response.status);
+        return response;
+    } catch (error) {
+        recordUnsplashCall(operation, 'error');
+        throw error;
+    }
+}
+
+// Unsplash key of the caller for direct calls: the apiKey parameter, or the private key of the client
+// (null means the worker's own access keys)
+function getRequestApiKey(params) {
+    return params.userApiKey || (params.client && params.client.unsplashKey) || null;
+}
+
+// Unsplash key for filling a cache - only client caches are filled with the client's private key
+function getCacheApiKey(params) {
+    return params.tenant ? getRequestApiKey(params) : null;
+}
+
+// Add the parameters that affect the content to a /photos/random URL
+function appendRandomFilters(fetchUrl, params) {
+    if (params.orientation) {
+        fetchUrl.searchParams.append('orientation', params.orientation);
+    }
+    
+    if (params.addPhotoOfTheDay) {
+        fetchUrl.searchParams.append('collections', '1459961'); // Photo of the day collection ID
+    } else if (params.collectionIds) {
+        fetchUrl.searchParams.append('collections', params.collectionIds);
+    }
+    
+    if (params.query) fetchUrl.searchParams.append('query', params.query);
+    if (params.topicIds) fetchUrl.searchParams.append('topics', params.topicIds);
+    if (params.username) fetchUrl.searchParams.append('username', params.username);
+    if (params.contentFilter) fetchUrl.searchParams.append('content_filter', params.contentFilter);
+}
+
+// Fetch several random images in one Unsplash call (count=)
+async function fetchImagesFromUnsplash(params, count, env, userApiKey = null) {
+    const fetchUrl = getUnsplashClient(env).url('/photos/random');
+    fetchUrl.searchParams.append('count', String(count));
+    appendRandomFilters(fetchUrl, params);
+    
+    const requestImages = async () => {
+        const response = await fetchUnsplash(fetchUrl, env, 'random_bulk', userApiKey);
+        
+        if (!response.ok) {
+            throw new UpstreamError(`Unsplash API error: ${response.status} ${response.statusText}`, response.status);
+        }
+        
+        return response.json();
+    };
+    
+    const fullImages = await withCircuitBreaker('bulk fetch', env, requestImages, userApiKey);
+    
+    if (!Array.isArray(fullImages)) {
+        return [];
+    }
+    
+    // Process and optimize the images to store only what's needed
+    return fullImages.map(optimizeImage);
+}
+
+// List every photo of a collection through paginated /collections/:id/photos calls
+async function listCollectionPhotos(collectionId, params, maxPages, env, userApiKey = null) {
+    const photos = [];
+    
+    for (let page = 1; page <= maxPages; page++) {
+        const fetchUrl = getUnsplashClient(env).url(`/collections/${collectionId}/photos`);
+        fetchUrl.searchParams.append('page', String(page));
+        fetchUrl.searchParams.append('per_page', '30');
+        if (params.orientation) {
+            fetchUrl.searchParams.append('orientation', params.orientation);
+        }
+        
+        const requestPage = async () => {
+            const response = await fetchUnsplash(fetchUrl, env, 'collection_photos', userApiKey);
+            
+            if (!response.ok) {
+                throw new UpstreamError(`Unsplash API error: ${response.status} ${response.statusText}`, response.status);
+            }
+            
+            return response.json();
+        };
+        
+        const pagePhotos = await withCircuitBreaker('collection listing', env, requestPage, userApiKey);
+        
+        if (!Array.isArray(pagePhotos)) break;
+        photos.push(...pagePhotos.map(optimizeImage));
+        
+        // A short page is the last one
+        if (pagePhotos.length < 30) break;
+    }
+    
+    return photos;
+}
+
+// Search Unsplash photos - results are reduced to the optimized image shape
+async function searchUnsplashPhotos(search, env) {
+    const fetchUrl = getUnsplashClient(env).url('/search/photos');
+    fetchUrl.searchParams.append('query', search.query);
+    fetchUrl.searchParams.append('page', String(search.page));
+    fetchUrl.searchParams.append('per_page', String(search.perPage));
+    if (search.color) fetchUrl.searchParams.append('color', search.color);
+    if (search.orientation) fetchUrl.searchParams.append('orientation', search.orientation);
+    
+    const data = await withCircuitBreaker('search', env, async () => {
+        const response = await fetchUnsplash(fetchUrl, env, 'search');
+        
+        if (!response.ok) {
+            throw new UpstreamError(`Unsplash API error: ${response.status} ${response.statusText}`, response.status);
+        }
+        
+        return response.json();
+    });
+    
+    return {
+        total: data.total,
+        totalPages: data.total_pages,
+        results: (data.results || []).map(optimizeImage)
+    };
+}
+
+// Fetch a single photo by ID - returns null if Unsplash doesn't know it
+async function fetchPhotoFromUnsplash(photoId, env) {
+    const fetchUrl = getUnsplashClient(env).url(`/photos/${photoId}`);
+    
+    const fullImage = await withCircuitBreaker('photo lookup', env, async () => {
+        const response = await fetchUnsplash(fetchUrl, env, 'photo');
+        
+        // A missing photo is an answer, not an upstream failure
+        if (response.status === 404) {
+            return null;
+        }
+        
+        if (!response.ok) {
+            throw new UpstreamError(`Unsplash API error: ${response.status} ${response.statusText}`, response.status);
+        }
+        
+        return response.json();
+    });
+    
+    return fullImage ? optimizeImage(fullImage) : null;
+}
+
+// Reduce a full Unsplash photo object to the fields we store and serve
+function optimizeImage(img) {
+    return {
+        id: img.id,
+        provider: 'unsplash',
+        urls: img.urls,
+        user: {
+            name: img.user.name,
+            username: img.user.username,
+            links: { html: img.user.links.html }
+        },
+        width: img.width,
+        height: img.height,
+        links: {
+            html: img.links ? img.links.html : `https://unsplash.com/photos/${img.id}`,
+            download_location: img.links ? img.links.download_location || null : null
+        },
+        description: img.description || null,
+        alt_description: img.alt_description || null,
+        blur_hash: img.blur_hash || null,
+        color: img.color || null,
+        created_at: img.created_at || null,
+        current_user_collections: img.current_user_collections || []
     };
 }
 
 // Track download with Unsplash
-async function trackDownload(photoId, env, userApiKey = null) {
+async function trackUnsplashDownload(photoId, env, userApiKey = null) {
+    try {
+        const downloadUrl = getUnsplashClient(env).url(`/photos/${photoId}/download`);
+        const requestDownload = async () => {
+            const response = await fetchUnsplash(downloadUrl, env, 'download', userApiKey);
+            
+            if (!response.ok) {
+                throw new UpstreamError(`Unsplash API error: ${response.status} ${response.statusText}`, response.status);
+            }
+        };
+        
+        await withCircuitBreaker('download tracking', env, requestDownload, userApiKey);
+        recordDownloadTracking(true);
+        return true;
+    } catch (error) {
+        console.error(`Download tracking error: ${error.message}`);
+        recordDownloadTracking(false);
+        return false;
+    }
+}
+
+// Circuit breaker state - local copy of the shared state kept in KV
+const circuitBreaker = {
+    failures: 0,
+    lastFailure: 0,
+    state: 'CLOSED', // CLOSED (normal), OPEN (failing), HALF-OPEN (testing)
+    resetThreshold: 30000, // 30 seconds before trying again
+    failureThreshold: 3, // Number of failures before opening circuit
+    syncInterval: 5000, // How long the local copy is trusted before re-reading KV
+    lastSync: 0
+};
+
+const CIRCUIT_BREAKER_KEY = 'CIRCUIT_BREAKER';
+
+// Load the shared circuit breaker state from KV, at most once per sync interval
+async function loadCircuitBreakerState(env) {
+    const now = Date.now();
+    if (now - circuitBreaker.lastSync < circuitBreaker.syncInterval) {
+        return circuitBreaker;
+    }
+    
+    try {
+        const stored = await getStorage(env).get(CIRCUIT_BREAKER_KEY);
+        if (stored) {
+            circuitBreaker.failures = stored.failures;
+            circuitBreaker.lastFailure = stored.lastFailure;
+            circuitBreaker.state = stored.state;
+        }
+    } catch (error) {
+        console.error(`Error loading circuit breaker state: ${error.message}`);
+    }
+    
+    circuitBreaker.lastSync = now;
+    return circuitBreaker;
+}
+
+// Persist the circuit breaker state so other isolates see it
+async function saveCircuitBreakerState(env) {
+    circuitBreaker.lastSync = Date.now();
+    
+    try {
+        await getStorage(env).put(CIRCUIT_BREAKER_KEY, {
+            failures: circuitBreaker.failures,
+            lastFailure: circuitBreaker.lastFailure,
+            state: circuitBreaker.state
+        });
+    } catch (error) {
+        console.error(`Error saving circuit breaker state: ${error.message}`);
+    }
+}
+
+// Run an Unsplash call through the circuit breaker, unless it is made with a user's own API key
+async function withCircuitBreaker(operation, env, fn, userApiKey = null) {
+    // User-provided keys fail for their own reasons and must not trip the shared breaker
+    if (userApiKey) {
+        return fn();
+    }
+    
+    // Without an access key the call fails before reaching Unsplash, which says nothing about its health
+    if (getAccessKeys(env).length === 0) {
+        return fn();
+    }
+    
+    await loadCircuitBreakerState(env);
+    
+    if (circuitBreaker.state === 'OPEN') {
+        const elapsed = Date.now() - circuitBreaker.lastFailure;
+        if (elapsed < circuitBreaker.resetThreshold) {
+            const retryIn = Math.ceil((circuitBreaker.resetThreshold - elapsed) / 1000);
+            throw new CircuitOpenError(`Circuit breaker open: skipping ${operation}, retry in ${retryIn}s`, retryIn);
+        }
+        
+        // Reset window passed - let this call through as a trial
+        console.log(`Circuit breaker half-open: trying ${operation}`);
+        circuitBreaker.state = 'HALF-OPEN';
+    }
+    
+    try {
+        const result = await fn();
+        
+        // Only write back when something actually changed
+        if (circuitBreaker.state !== 'CLOSED' || circuitBreaker.failures > 0) {
+            console.log(`Circuit breaker closed after successful ${operation}`);
+            circuitBreaker.state = 'CLOSED';
+            circuitBreaker.failures = 0;
+            await saveCircuitBreakerState(env);
+        }
+        
+        return result;
+    } catch (error) {
+        if (!isUnsplashFailure(error)) {
+            throw error;
+        }
+        
+        circuitBreaker.failures++;
+        circuitBreaker.lastFailure = Date.now();
+        
+        if (circuitBreaker.state === 'HALF-OPEN' || circuitBreaker.failures >= circuitBreaker.failureThreshold) {
+            console.error(`Circuit breaker opened after ${circuitBreaker.failures} failures (last: ${operation})`);
+            circuitBreaker.state = 'OPEN';
+        }
+        
+        await saveCircuitBreakerState(env);
+        throw error;
+    }
+}
+
+// Whether an error of an Unsplash call says Unsplash is failing: network errors and 5xx answers.
+// Running out of quota (handled by rotating access keys) and requests Unsplash rejects, such as an
+// unknown collection or username, say nothing about its health.
+function isUnsplashFailure(error) {
+    if (error instanceof UpstreamError) {
+        return error.upstreamStatus === null || error.upstreamStatus >= 500;
+    }
+    return !(error instanceof ApiError);
+}
+
+// Access key pool - local copy of the per-key quota shared through KV
+const rateLimits = {
+    keys: {}, // key fingerprint -> { limit, remaining, updatedAt, exhaustedUntil }
+    window: 3600000, // Unsplash quotas are hourly - older readings no longer say anything
+    syncInterval: 5000, // How long the local copy is trusted before re-reading KV
+    saveInterval: 30000, // Minimum time between routine writes of the quota to KV
+    lastSync: 0,
+    lastSave: 0
+};
+
+const RATE_LIMITS_KEY = 'RATE_LIMITS';
+
+// Fingerprints of the access keys, computed once per isolate
+const keyFingerprints = new Map();
+
+// The worker's own access keys: ACCESS_KEY first, then the comma-separated ACCESS_KEYS pool
+function getAccessKeys(env) {
+    const keys = [env.ACCESS_KEY, ...(env.ACCESS_KEYS || '').split(',')]
+        .map(key => (key || '').trim())
+        .filter(Boolean);
+    return [...new Set(keys)];
+}
+
+// Short ID of an access key, so the shared quota state and the logs never contain the key itself
+async function fingerprintKey(apiKey) {
+    if (!keyFingerprints.has(apiKey)) {
+        keyFingerprints.set(apiKey, (await sha256Hex(apiKey)).slice(0, 12));
+    }
+    return keyFingerprints.get(apiKey);
+}
+
+// Hex SHA-256 of a text
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Load the shared quota state from KV, at most once per sync interval - the newer reading of each key wins
+async function loadRateLimitState(env) {
+    const now = Date.now();
+    if (now - rateLimits.lastSync < rateLimits.syncInterval) {
+        return rateLimits;
+    }
+    
     try {
-        const apiKey = userApiKey || env.ACCESS_KEY;
-        const downloadUrl = `https://api.unsplash.com/photos/${photoId}/download`;
-        await fetch(downloadUrl, {
-            headers: {
-                'Authorization': `Client-ID ${apiKey}`,
-                'Accept-Version': 'v1'
+        const stored = await getStorage(env).get(RATE_LIMITS_KEY);
+        for (const [id, state] of Object.entries(stored || {})) {
+            const local = rateLimits.keys[id];
+            if (!local || state.updatedAt > local.updatedAt) {
+                rateLimits.keys[id] = state;
             }
-        });
-        return true;
+        }
     } catch (error) {
-        console.error(`Download tracking error: ${error.message}`);
-        return false;
+        console.error(`Error loading rate limit state: ${error.message}`);
     }
+    
+    rateLimits.lastSync = now;
+    return rateLimits;
 }
 
-// Circuit breaker state
-const circuitBreaker = {
-    failures: 0,
-    lastFailure: 0,
-    state: 'CLOSED', // CLOSED (normal), OPEN (failing), HALF-OPEN (testing)
-    resetThreshold: 30000, // 30 seconds before trying again
-    failureThreshold: 3 // Number of failures before opening circuit
-};
+// Persist the quota state so other isolates rotate keys too
+async function saveRateLimitState(env) {
+    rateLimits.lastSave = Date.now();
+    
+    try {
+        await getStorage(env).put(RATE_LIMITS_KEY, rateLimits.keys);
+    } catch (error) {
+        console.error(`Error saving rate limit state: ${error.message}`);
+    }
+}
+
+// Requests a key can still make - Infinity without a recent reading
+function getRemainingQuota(state, now) {
+    if (!state) return Infinity;
+    if (state.exhaustedUntil > now) return 0;
+    if (now - state.updatedAt > rateLimits.window) return Infinity;
+    return state.remaining;
+}
+
+// Describe every access key of the pool with its last known quota
+async function describeAccessKeys(env) {
+    await loadRateLimitState(env);
+    const now = Date.now();
+    
+    return Promise.all(getAccessKeys(env).map(async (apiKey) => {
+        const id = await fingerprintKey(apiKey);
+        const state = rateLimits.keys[id] || null;
+        return { apiKey, id, state, remaining: getRemainingQuota(state, now) };
+    }));
+}
+
+// Access keys with quota left, in pool order
+async function getUsableAccessKeys(env) {
+    return (await describeAccessKeys(env)).filter(key => key.remaining > 0);
+}
+
+// True when the pool is nearly out of quota - background work then waits and the rest goes to live requests
+async function isQuotaLow(env) {
+    const reserve = getNumericSetting(env.RATE_LIMIT_RESERVE, 10);
+    const usableKeys = await getUsableAccessKeys(env);
+    return usableKeys.reduce((total, key) => total + key.remaining, 0) < reserve;
+}
+
+// Unsplash answers 403 (or 429) with no remaining requests when a key is out of quota
+function isRateLimitResponse(response) {
+    return response.status === 429
+        || (response.status === 403 && response.headers.get('X-Ratelimit-Remaining') === '0');
+}
+
+// Record the quota reported by an Unsplash response
+async function updateRateLimit(apiKey, response, env) {
+    const limited = isRateLimitResponse(response);
+    const remaining = limited ? 0 : Number(response.headers.get('X-Ratelimit-Remaining'));
+    if (!limited && (response.headers.get('X-Ratelimit-Remaining') === null || !Number.isFinite(remaining))) {
+        return;
+    }
+    
+    const now = Date.now();
+    const id = await fingerprintKey(apiKey);
+    const limit = Number(response.headers.get('X-Ratelimit-Limit'));
+    rateLimits.keys[id] = {
+        limit: Number.isFinite(limit) && limit > 0 ? limit : (rateLimits.keys[id] ? rateLimits.keys[id].limit : null),
+        remaining,
+        updatedAt: now,
+        // The reset time isn't reported, so a key that ran out rests for a whole window
+        exhaustedUntil: remaining === 0 ? now + rateLimits.window : 0
+    };
+    
+    // Share a key running out right away, routine readings at most once per save interval
+    if (remaining === 0 || now - rateLimits.lastSave >= rateLimits.saveInterval) {
+        await saveRateLimitState(env);
+    }
+}
+
+// Error for a request no access key has quota left for, with the seconds until the first key recovers
+async function createRateLimitError(env) {
+    const now = Date.now();
+    const resetTimes = (await describeAccessKeys(env))
+        .map(key => (key.state && key.state.exhaustedUntil > now ? key.state.exhaustedUntil : now + rateLimits.window));
+    const retryAfter = Math.max(1, Math.ceil((Math.min(...resetTimes) - now) / 1000));
+    
+    return new RateLimitedError(`Rate limit exhausted on every access key, retry in ${retryAfter}s`, retryAfter);
+}
+
+// Pick a random image from the stale pool of a cache key
+async function getStaleImage(cacheKey = 'default', env) {
+    const staleImages = await getStorage(env).get(`STALE_${cacheKey}`);
+    
+    if (!Array.isArray(staleImages) || staleImages.length === 0) {
+        return null;
+    }
+    
+    return staleImages[Math.floor(Math.random() * staleImages.length)];
+}
 
 // Utility Functions
 // -----------------------------------------------------------
 
-// Determine image orientation based on dimensions
-function getImageOrientation(imageData) {
-    if (!imageData.width || !imageData.height) return null;
+const CLIENT_HINTS = ['Sec-CH-Viewport-Width', 'Sec-CH-DPR', 'Width']; // Requested with Accept-CH
+const HINT_WIDTH_STEP = 100; // Hinted widths are rounded up to a multiple of this
+const MAX_HINT_WIDTH = 4000;
+const MAX_HINT_DPR = 3;
+const SRCSET_WIDTHS = [320, 640, 960, 1280, 1920, 2560]; // Candidate widths of srcset=true
+
+const DAILY_HISTORY_DEFAULT_DAYS = 30; // Days listed by /daily/history without from
+const DAILY_HISTORY_MAX_DAYS = 366;
+
+const DEFAULT_UTM_SOURCE = 'unsplash_workers_api'; // Override with the UNSPLASH_APP_NAME variable
+
+// Get the lowercase username of an image's photographer
+function getPhotographerUsername(imageData) {
+    if (!imageData.user) return null;
+    if (imageData.user.username) return imageData.user.username.toLowerCase();
+    
+    // Images cached before usernames were stored only have the profile URL
+    const match = /unsplash\.com\/@([^/?#]+)/.exec(imageData.user.links ? imageData.user.links.html : '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Calendar date (YYYY-MM-DD) of a moment in a time zone
+function getLocalDate(timeZone, time = Date.now()) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(new Date(time));
+    const part = (type) => parts.find(item => item.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Seconds until the next calendar day begins in a time zone
+function getSecondsUntilNextDay(timeZone, time = Date.now()) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit', second: '2-digit' }).formatToParts(new Date(time));
+    const part = (type) => Number(parts.find(item => item.type === type).value);
+    let seconds = 86400 - (part('hour') * 3600 + part('minute') * 60 + part('second'));
     
-    const ratio = imageData.width / imageData.height;
-    if (ratio > 1.2) return 'landscape';
-    if (ratio < 0.8) return 'portrait';
-    return 'squarish';
+    // A day the clocks are put forward on ends an hour earlier
+    if (seconds > 3600 && getLocalDate(timeZone, time + (seconds - 3600) * 1000) !== getLocalDate(timeZone, time)) {
+        seconds -= 3600;
+    }
+    return seconds;
+}
+
+// Add days to a YYYY-MM-DD date
+function shiftDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Escape text for use in HTML content and attributes
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Validate orientation parameter
-function validateOrientation(orientation) {
-    const validOrientations = ['landscape', 'portrait', 'squarish'];
-    return validOrientations.includes(orientation) ? orientation : 'landscape'; // Default to landscape
+// Sanitize a photo ID taken from the path
+function sanitizePhotoId(photoId) {
+    if (!photoId || !PHOTO_ID_PATTERN.test(photoId)) return null;
+    return photoId;
 }
 
-// Sanitize collection IDs parameter
-function sanitizeCollectionIds(collections) {
-    if (!collections) return null;
-    // Ensure only alphanumeric characters and commas are in the collection IDs
-    return collections.replace(/[^a-zA-Z0-9,]/g, '');
+// Read a non-negative numeric setting from an environment variable
+function getNumericSetting(value, fallback) {
+    const num = parseInt(value, 10);
+    return isNaN(num) || num < 0 ? fallback : num;
 }
 
 // Sanitize numeric parameters
@@ -656,20 +2349,17 @@ function sanitizeNumber(value) {
 // Handle cache status request - updated for parameter awareness
 async function handleCacheStatusRequest(env) {
     try {
-        // Get list of all cache keys from KV store
-        // Note: This is a simplification - in practice you'd need pagination for many keys
-        const keys = await env.NAZKVHUBSTORE.list({ prefix: 'META_' });
-        
         const cacheStatuses = {};
         
-        // Process each cache
-        for (const key of keys.keys) {
-            const cacheKey = key.name.replace('META_', '');
-            const metadata = await getOrInitializeMetadata(cacheKey, env);
+        // Process each cache - peeking so that reading status never writes
+        for (const cacheKey of await listAllCacheKeys(env)) {
+            const metadata = await peekMetadata(cacheKey, env);
+            if (!metadata) continue;
             
-            // Calculate cache fill percentages
-            const mainFillPercent = Math.round((metadata.mainCache.count / 30) * 100);
-            const bufferFillPercent = Math.round((metadata.bufferCache.count / 30) * 100);
+            // Calculate cache fill percentages (a cache filled before its capacity was lowered counts as full)
+            const capacity = metadata.capacity || MAX_BATCH_SIZE;
+            const mainFillPercent = Math.min(100, Math.round((metadata.mainCache.count / capacity) * 100));
+            const bufferFillPercent = Math.min(100, Math.round((metadata.bufferCache.count / capacity) * 100));
             
             // Format status for this cache
             cacheStatuses[cacheKey] = {
@@ -683,45 +2373,503 @@ async function handleCacheStatusRequest(env) {
                     fillPercent: bufferFillPercent,
                     currentPointer: metadata.bufferCache.currentPointer
                 },
+                capacity,
                 isRefilling: metadata.isRefilling,
                 lastRefillTime: metadata.lastRefillTime,
                 lastRefreshRelative: metadata.lastRefillTime ? `${Math.round((Date.now() - metadata.lastRefillTime) / 1000 / 60)} minutes ago` : 'never'
             };
+            
+            // Deck keys report their deck instead of main/buffer usage
+            if (metadata.deck) {
+                cacheStatuses[cacheKey].deck = metadata.deck;
+            }
         }
         
         return new Response(JSON.stringify(cacheStatuses, null, 2), {
-            headers: { 'Content-Type': 'application/json' }
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            }
+        });
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
+
+// Handle Prometheus scrapes of the aggregated metrics
+async function handleMetricsRequest(request, env) {
+    try {
+        if (!(await isMetricsRequestAuthorized(request, env))) {
+            return errorResponse(new UnauthorizedError('Unauthorized', { 'WWW-Authenticate': 'Bearer' }));
+        }
+        
+        // Include this isolate's pending counters
+        await flushMetrics(env, true);
+        const snapshot = await getMetricsSnapshot(env);
+        
+        return new Response(formatPrometheusMetrics(snapshot), {
+            headers: {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
+
+// Handle JSON statistics with the most requested keys and most served photos
+async function handleStatsRequest(request, url, env) {
+    try {
+        if (!(await isMetricsRequestAuthorized(request, env))) {
+            return errorResponse(new UnauthorizedError('Unauthorized', { 'WWW-Authenticate': 'Bearer' }));
+        }
+        
+        const limit = Math.min(Number(sanitizeNumber(url.searchParams.get('limit'))) || 10, 100);
+        
+        // Include this isolate's pending counters
+        await flushMetrics(env, true);
+        const snapshot = await getMetricsSnapshot(env);
+        
+        const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+        
+        const byPattern = {};
+        const topKeys = Object.entries(snapshot.requests).map(([cacheKey, patterns]) => {
+            for (const [pattern, count] of Object.entries(patterns)) {
+                byPattern[pattern] = (byPattern[pattern] || 0) + count;
+            }
+            return { cacheKey, requests: sum(patterns), byPattern: patterns };
+        }).sort((a, b) => b.requests - a.requests).slice(0, limit);
+        
+        const topPhotos = Object.entries(snapshot.photos)
+            .map(([photoId, serves]) => ({ photoId, serves }))
+            .sort((a, b) => b.serves - a.serves)
+            .slice(0, limit);
+        
+        const { refills } = snapshot;
+        const refillCount = refills.success + refills.failure;
+        
+        const stats = {
+            since: snapshot.startedAt,
+            requests: {
+                total: sum(byPattern),
+                byPattern
+            },
+            unsplashCalls: snapshot.unsplashCalls,
+            refills: {
+                success: refills.success,
+                failure: refills.failure,
+                averageDurationMs: refillCount > 0 ? Math.round(refills.durationMsSum / refillCount) : 0
+            },
+            downloadTracking: snapshot.downloadTracking,
+            topKeys,
+            topPhotos
+        };
+        
+        return new Response(JSON.stringify(stats, null, 2), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
+
+// Metrics are public unless METRICS_TOKEN is set
+async function isMetricsRequestAuthorized(request, env) {
+    if (!env.METRICS_TOKEN) return true;
+    
+    const authorization = request.headers.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+    return timingSafeEqual(token, env.METRICS_TOKEN);
+}
+
+// Handle search requests - proxies Unsplash search with KV caching
+async function handleSearchRequest(request, url, env, client) {
+    try {
+        const { params: search, error } = parseParams(url, SEARCH_PARAMETERS);
+        if (error) {
+            return parameterErrorResponse(error);
+        }
+        
+        // Hashed, so the key stays within KV's key size whatever the query
+        const storageKey = `SEARCH_${await sha256Hex(JSON.stringify([search.query, search.page, search.perPage, search.color, search.orientation]))}`;
+        const ttl = getNumericSetting(env.SEARCH_CACHE_TTL, 3600);
+        
+        let results = await getStorage(env).get(storageKey);
+        await enforceLookupRateLimits(request, client, !results, env);
+        if (!results) {
+            results = await searchUnsplashPhotos(search, env);
+            // KV requires a TTL of at least 60 seconds
+            await getStorage(env).put(storageKey, results, { ttl: Math.max(ttl, 60) });
+        }
+        
+        return new Response(JSON.stringify(results), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=300'
+            }
+        });
+    } catch (error) {
+        console.error(`Error in search: ${error.message}`);
+        
+        return errorResponse(error);
+    }
+}
+
+// Handle single photo requests (/photos/:id) with KV caching
+async function handlePhotoRequest(request, url, env, client) {
+    try {
+        const photoId = sanitizePhotoId(url.pathname.slice('/photos/'.length));
+        if (!photoId) {
+            return errorResponse(new ValidationError('Invalid photo ID.', 'id'));
+        }
+        
+        const imageData = await getPhoto(photoId, env, uncached => enforceLookupRateLimits(request, client, uncached, env));
+        if (!imageData) {
+            return errorResponse(new NotFoundError('Photo not found.'));
+        }
+        
+        return new Response(JSON.stringify(imageData), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=3600'
+            }
+        });
+    } catch (error) {
+        console.error(`Error in photo lookup: ${error.message}`);
+        
+        return errorResponse(error);
+    }
+}
+
+// Handle placeholder requests (/placeholder/:id) - an SVG, or with format=datauri its data URI as text
+async function handlePlaceholderRequest(request, url, env, client) {
+    try {
+        const photoId = sanitizePhotoId(url.pathname.slice('/placeholder/'.length));
+        if (!photoId) {
+            return errorResponse(new ValidationError('Invalid photo ID.', 'id'));
+        }
+        
+        const { params, error } = parseParams(url, PLACEHOLDER_PARAMETERS);
+        if (error) {
+            return parameterErrorResponse(error);
+        }
+        
+        const imageData = await getPhoto(photoId, env, uncached => enforceLookupRateLimits(request, client, uncached, env));
+        if (!imageData) {
+            return errorResponse(new NotFoundError('Photo not found.'));
+        }
+        
+        const isSvg = params.format === 'svg';
+        return new Response(isSvg ? buildPlaceholderSvg(imageData) : buildPlaceholderDataUri(imageData), {
+            status: 200,
+            headers: {
+                'Content-Type': isSvg ? 'image/svg+xml' : 'text/plain; charset=utf-8',
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=604800' // A photo's placeholder never changes
+            }
         });
     } catch (error) {
-        return new Response(`Error: ${error.message}`, { status: 500 });
+        console.error(`Error in placeholder: ${error.message}`);
+        
+        return errorResponse(error);
+    }
+}
+
+// Handle /openapi.json - the OpenAPI document of the public endpoints
+function handleOpenApiRequest(url) {
+    return new Response(JSON.stringify(buildOpenApiDocument(url.origin), null, 2), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=3600'
+        }
+    });
+}
+
+// Load a photo by ID, cached in KV for PHOTO_CACHE_TTL seconds - null if Unsplash doesn't know it.
+// enforceLimits(uncached) runs once KV has been checked and may throw to stop the lookup.
+async function getPhoto(photoId, env, enforceLimits = async () => {}) {
+    const storageKey = `PHOTO_${photoId}`;
+    const ttl = getNumericSetting(env.PHOTO_CACHE_TTL, 86400);
+    
+    let imageData = await getStorage(env).get(storageKey);
+    await enforceLimits(!imageData);
+    if (!imageData) {
+        imageData = await fetchPhotoFromUnsplash(photoId, env);
+        if (!imageData) {
+            return null;
+        }
+        // KV requires a TTL of at least 60 seconds
+        await getStorage(env).put(storageKey, imageData, { ttl: Math.max(ttl, 60) });
     }
+    
+    return imageData;
 }
 
-// Add this helper function to inspect cache contents
-async function logCacheContents(cacheKey, cacheType = 'main', env) {
+// Admin API
+// -----------------------------------------------------------
+
+// Handle /admin/* requests - all routes require the ADMIN_TOKEN bearer token
+async function handleAdminRequest(request, url, env) {
     try {
-        const cacheStorageKey = cacheType === 'main' ? `MAIN_${cacheKey}` : `BUFFER_${cacheKey}`;
-        const cacheArray = await env.NAZKVHUBSTORE.get(cacheStorageKey, { type: 'json' });
+        if (!env.ADMIN_TOKEN) {
+            return errorResponse(new NotFoundError('Admin API is disabled. Set the ADMIN_TOKEN secret to enable it.'));
+        }
+        
+        const authorization = request.headers.get('Authorization') || '';
+        const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+        if (!(await timingSafeEqual(token, env.ADMIN_TOKEN))) {
+            return errorResponse(new UnauthorizedError('Unauthorized', { 'WWW-Authenticate': 'Bearer' }));
+        }
+        
+        const path = url.pathname.slice('/admin/'.length).split('/').map(decodePathSegment);
+        const method = request.method;
+        
+        // GET /admin/keys - list cache keys with pagination
+        if (path.length === 1 && path[0] === 'keys' && method === 'GET') {
+            const limit = Math.min(Number(sanitizeNumber(url.searchParams.get('limit'))) || 100, 1000);
+            const page = await getStorage(env).list({ prefix: 'META_', limit, cursor: url.searchParams.get('cursor') });
+            
+            const keys = [];
+            for (const name of page.keys) {
+                const cacheKey = name.replace('META_', '');
+                const metadata = await peekMetadata(cacheKey, env);
+                keys.push({
+                    cacheKey,
+                    mainCount: metadata ? metadata.mainCache.count : 0,
+                    bufferCount: metadata ? metadata.bufferCache.count : 0,
+                    requestCount: metadata ? metadata.requestCount || 0 : 0,
+                    lastRequestTime: metadata ? metadata.lastRequestTime || 0 : 0
+                });
+            }
+            
+            return adminJsonResponse({ keys, cursor: page.cursor });
+        }
+        
+        // GET /admin/access-keys - quota of every access key in the pool (keys are shown by fingerprint only)
+        if (path.length === 1 && path[0] === 'access-keys' && method === 'GET') {
+            const accessKeys = (await describeAccessKeys(env)).map(({ id, state, remaining }) => ({
+                id,
+                limit: state ? state.limit : null,
+                remaining: remaining === Infinity ? null : remaining,
+                updatedAt: state ? state.updatedAt : null,
+                exhaustedUntil: state && state.exhaustedUntil > Date.now() ? state.exhaustedUntil : null
+            }));
+            
+            return adminJsonResponse({ accessKeys, quotaLow: await isQuotaLow(env) });
+        }
+        
+        // GET /admin/clients - list issued client keys
+        if (path.length === 1 && path[0] === 'clients' && method === 'GET') {
+            return adminJsonResponse({ clients: await listClients(env) });
+        }
+        
+        // POST /admin/clients - issue a client key; the key is only shown in this response
+        if (path.length === 1 && path[0] === 'clients' && method === 'POST') {
+            let settings;
+            try {
+                settings = await request.json();
+            } catch (error) {
+                return errorResponse(new ValidationError('Request body must be JSON'));
+            }
+            
+            return adminJsonResponse(await createClient(settings || {}, env), 201);
+        }
+        
+        // /admin/clients/:clientId
+        if (path.length === 2 && path[0] === 'clients') {
+            if (method === 'GET') {
+                const client = await getClientById(path[1], env);
+                if (!client) {
+                    return errorResponse(new NotFoundError(`Unknown client: ${path[1]}`));
+                }
+                return adminJsonResponse({ client: describeClient(client), usage: await getClientUsage(client.id, env) });
+            }
+            
+            if (method === 'DELETE') {
+                if (!(await deleteClient(path[1], env))) {
+                    return errorResponse(new NotFoundError(`Unknown client: ${path[1]}`));
+                }
+                return adminJsonResponse({ deleted: path[1] });
+            }
+        }
         
-        if (!cacheArray) {
-            console.log(`Cache ${cacheStorageKey} not found`);
-            return;
+        // GET /admin/mixes - list mix presets
+        if (path.length === 1 && path[0] === 'mixes' && method === 'GET') {
+            return adminJsonResponse({ mixes: await listMixes(env) });
+        }
+        
+        // /admin/mixes/:name
+        if (path.length === 2 && path[0] === 'mixes') {
+            if (method === 'GET') {
+                const mix = await getMix(path[1], env);
+                if (!mix) {
+                    return errorResponse(new NotFoundError(`Unknown mix: ${path[1]}`));
+                }
+                return adminJsonResponse({ mix });
+            }
+            
+            // PUT - create or replace the preset
+            if (method === 'PUT') {
+                let settings;
+                try {
+                    settings = await request.json();
+                } catch (error) {
+                    return errorResponse(new ValidationError('Request body must be JSON'));
+                }
+                
+                const result = await saveMix(path[1], settings || {}, env);
+                if (result.error) {
+                    return errorResponse(new ValidationError(result.error));
+                }
+                return adminJsonResponse({ mix: result.mix });
+            }
+            
+            if (method === 'DELETE') {
+                if (!(await deleteMix(path[1], env))) {
+                    return errorResponse(new NotFoundError(`Unknown mix: ${path[1]}`));
+                }
+                return adminJsonResponse({ deleted: path[1] });
+            }
         }
         
-        const nonNullCount = cacheArray.filter(item => item !== null).length;
-        console.log(`Cache ${cacheStorageKey} contains ${nonNullCount} items (non-null)`);
+        // /admin/keys/:cacheKey[/action]
+        if (path[0] === 'keys' && path.length >= 2 && path[1]) {
+            const cacheKey = path[1];
+            const action = path[2] || null;
+            
+            if (!action && method === 'GET') {
+                // Dump the photo IDs held for the key
+                return adminJsonResponse(await callCoordinator(cacheKey, env, 'dump'));
+            }
+            
+            if (!action && method === 'DELETE') {
+                return adminJsonResponse(await callCoordinator(cacheKey, env, 'delete'));
+            }
+            
+            if (action === 'flush' && method === 'POST') {
+                if (!(await peekMetadata(cacheKey, env))) {
+                    return errorResponse(new NotFoundError(`Unknown cache key: ${cacheKey}`));
+                }
+                return adminJsonResponse(await callCoordinator(cacheKey, env, 'flush'));
+            }
+            
+            if (action === 'settings' && method === 'POST') {
+                const metadata = await peekMetadata(cacheKey, env);
+                if (!metadata) {
+                    return errorResponse(new NotFoundError(`Unknown cache key: ${cacheKey}`));
+                }
+                
+                let settings;
+                try {
+                    settings = await request.json();
+                } catch (error) {
+                    return errorResponse(new ValidationError('Request body must be JSON'));
+                }
+                
+                const result = await callCoordinator(cacheKey, env, 'settings', { settings: settings || {} });
+                if (result.error) {
+                    return errorResponse(new ValidationError(result.error));
+                }
+                return adminJsonResponse(result);
+            }
+            
+            if (action === 'refill' && method === 'POST') {
+                const metadata = await peekMetadata(cacheKey, env);
+                if (!metadata) {
+                    return errorResponse(new NotFoundError(`Unknown cache key: ${cacheKey}`));
+                }
+                
+                const params = await getRefillParams(cacheKey, env);
+                if (!params) {
+                    return errorResponse(new NotFoundError(`The client of cache key ${cacheKey} no longer exists`));
+                }
+                
+                if (params.mode === 'deck') {
+                    await buildDeck(metadata, cacheKey, params, env);
+                } else {
+                    // An empty buffer has to be filled before it can be promoted
+                    if (metadata.bufferCache.count === 0) {
+                        await refillBufferCache(metadata, cacheKey, params, env);
+                    }
+                    await refillCacheSystem(metadata, cacheKey, params, env);
+                }
+                
+                return adminJsonResponse({ metadata });
+            }
+        }
         
-        // Log a sample of IDs for debugging
-        const sampleIds = cacheArray
-            .filter(item => item !== null)
-            .slice(0, 5)
-            .map(item => item.id);
+        // DELETE /admin/photos/:photoId - evict a photo from every cache
+        if (path.length === 2 && path[0] === 'photos' && method === 'DELETE') {
+            const photoId = sanitizePhotoId(path[1]);
+            if (!photoId) {
+                return errorResponse(new ValidationError('Invalid photo ID.'));
+            }
+            
+            const evictedFrom = [];
+            for (const cacheKey of await listAllCacheKeys(env)) {
+                const result = await callCoordinator(cacheKey, env, 'evict', { photoId });
+                if (result.removed > 0) {
+                    evictedFrom.push(cacheKey);
+                }
+            }
+            await getStorage(env).delete(`PHOTO_${photoId}`);
             
-        console.log(`Sample image IDs: ${sampleIds.join(', ')}`);
+            return adminJsonResponse({ photoId, evictedFrom });
+        }
+        
+        return errorResponse(new NotFoundError(`Unknown admin route: ${request.method} ${url.pathname}`));
+    } catch (error) {
+        console.error(`Error in admin API: ${error.message}`);
+        
+        return errorResponse(error);
+    }
+}
+
+// Helper: Decode a percent-encoded path segment - malformed escapes such as %E0 are a client error
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
     } catch (error) {
-        console.error(`Error logging cache contents: ${error.message}`);
+        throw new ValidationError(`Invalid percent-encoding in path segment "${segment.slice(0, 100)}".`);
     }
 }
 
-// Call this in key places, for example after refilling the buffer:
-// await logCacheContents(cacheKey, 'buffer');
\ No newline at end of file
+// JSON response for admin routes - never cached
+function adminJsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body, null, 2), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+// Compare two secrets without leaking their contents through timing
+async function timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    // Hashing first makes both inputs the same length
+    const [hashA, hashB] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(a)),
+        crypto.subtle.digest('SHA-256', encoder.encode(b))
+    ]);
+    
+    const bytesA = new Uint8Array(hashA);
+    const bytesB = new Uint8Array(hashB);
+    let difference = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+        difference |= bytesA[i] ^ bytesB[i];
+    }
+    return difference === 0;
+}
@@ -0,0 +1,213 @@
+// Metrics
+// -----------------------------------------------------------
+// Counters are collected in memory per isolate and flushed in batches to a single
+// MetricsAggregator Durable Object, so recording metrics never costs a write per request.
+// Counters still pending when an isolate is evicted are lost.
+
+const FLUSH_INTERVAL = 10000; // Minimum time between flushes of one isolate
+const FLUSH_EVENT_LIMIT = 200; // Flush early once this many events are pending
+const MAX_TRACKED_PHOTOS = 5000; // Per-photo counters kept before the least served are pruned
+const MAX_TRACKED_CACHE_KEYS = 500; // Per-key request counters kept before the least requested are folded together
+const OTHER_CACHE_KEY = 'other'; // Request counters of the folded keys
+
+// Counters recorded since the last flush
+let pending = createCounters();
+let pendingEvents = 0;
+let lastFlush = Date.now();
+
+// Empty counter set - every leaf is a number so deltas can be merged by adding
+function createCounters() {
+    return {
+        requests: {},        // cacheKey -> pattern -> count
+        unsplashCalls: {},   // operation -> status -> count
+        refills: { success: 0, failure: 0, durationMsSum: 0 },
+        downloadTracking: { success: 0, failure: 0 },
+        photos: {}           // photoId -> times served
+    };
+}
+
+// Add every numeric leaf of delta into target
+function addCounts(target, delta) {
+    for (const [key, value] of Object.entries(delta)) {
+        if (typeof value === 'number') {
+            target[key] = (target[key] || 0) + value;
+        } else if (value && typeof value === 'object') {
+            target[key] = target[key] || {};
+            addCounts(target[key], value);
+        }
+    }
+}
+
+// Record a served request (pattern: main, buffer, direct, stale, custom, batch, deck or daily)
+export function recordRequest(cacheKey, pattern, photoIds = []) {
+    addCounts(pending.requests, { [cacheKey]: { [pattern]: 1 } });
+    for (const photoId of photoIds) {
+        pending.photos[photoId] = (pending.photos[photoId] || 0) + 1;
+    }
+    pendingEvents++;
+}
+
+// Record an Unsplash API call and its HTTP status ('error' for network failures)
+export function recordUnsplashCall(operation, status) {
+    addCounts(pending.unsplashCalls, { [operation]: { [String(status)]: 1 } });
+    pendingEvents++;
+}
+
+// Record a finished buffer refill
+export function recordRefill(success, durationMs) {
+    pending.refills[success ? 'success' : 'failure']++;
+    pending.refills.durationMsSum += durationMs;
+    pendingEvents++;
+}
+
+// Record the outcome of a download tracking call
+export function recordDownloadTracking(success) {
+    pending.downloadTracking[success ? 'success' : 'failure']++;
+    pendingEvents++;
+}
+
+// Send pending counters to the aggregator if the flush interval passed (or when forced)
+export async function flushMetrics(env, force = false) {
+    if (pendingEvents === 0) return;
+    if (!force && Date.now() - lastFlush < FLUSH_INTERVAL && pendingEvents < FLUSH_EVENT_LIMIT) return;
+
+    const delta = pending;
+    pending = createCounters();
+    pendingEvents = 0;
+    lastFlush = Date.now();
+
+    try {
+        await getMetricsAggregator(env).fetch('https://metrics/record', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(delta)
+        });
+    } catch (error) {
+        console.error(`Metrics flush error: ${error.message}`);
+    }
+}
+
+// Read the aggregated counters
+export async function getMetricsSnapshot(env) {
+    const response = await getMetricsAggregator(env).fetch('https://metrics/snapshot');
+    if (!response.ok) {
+        throw new Error(`Metrics snapshot failed: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// All isolates report to one aggregator instance
+function getMetricsAggregator(env) {
+    return env.METRICS_AGGREGATOR.get(env.METRICS_AGGREGATOR.idFromName('global'));
+}
+
+// Render the counters in the Prometheus text exposition format
+export function formatPrometheusMetrics(snapshot) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+
+    const requestSamples = [];
+    for (const [cacheKey, patterns] of Object.entries(snapshot.requests)) {
+        for (const [pattern, count] of Object.entries(patterns)) {
+            requestSamples.push([{ cache_key: cacheKey, pattern }, count]);
+        }
+    }
+    metric('unsplash_worker_requests_total', 'counter', 'Image requests by cache key and operation pattern.', requestSamples);
+
+    const callSamples = [];
+    for (const [operation, statuses] of Object.entries(snapshot.unsplashCalls)) {
+        for (const [status, count] of Object.entries(statuses)) {
+            callSamples.push([{ operation, status }, count]);
+        }
+    }
+    metric('unsplash_worker_unsplash_calls_total', 'counter', 'Calls to the Unsplash API by operation and HTTP status.', callSamples);
+
+    const { refills, downloadTracking } = snapshot;
+    metric('unsplash_worker_refills_total', 'counter', 'Buffer refills by result.', [
+        [{ result: 'success' }, refills.success],
+        [{ result: 'failure' }, refills.failure]
+    ]);
+    metric('unsplash_worker_refill_duration_seconds', 'summary', 'Time spent on buffer refills.', []);
+    lines.push(`unsplash_worker_refill_duration_seconds_sum ${refills.durationMsSum / 1000}`);
+    lines.push(`unsplash_worker_refill_duration_seconds_count ${refills.success + refills.failure}`);
+    metric('unsplash_worker_download_tracking_total', 'counter', 'Unsplash download tracking calls by result.', [
+        [{ result: 'success' }, downloadTracking.success],
+        [{ result: 'failure' }, downloadTracking.failure]
+    ]);
+
+    return lines.join('\n') + '\n';
+}
+
+// Escape a Prometheus label value
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Metrics Aggregator Durable Object
+// -----------------------------------------------------------
+
+export class MetricsAggregator {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+
+        try {
+            const counters = (await this.state.storage.get('counters')) || { ...createCounters(), startedAt: Date.now() };
+
+            if (action === 'record' && request.method === 'POST') {
+                addCounts(counters, await request.json());
+                pruneCounters(counters);
+                await this.state.storage.put('counters', counters);
+                return new Response(null, { status: 204 });
+            }
+
+            if (action === 'snapshot') {
+                return new Response(JSON.stringify(counters), {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+
+            return new Response('Not Found', { status: 404 });
+        } catch (error) {
+            console.error(`Metrics aggregator error (${action}): ${error.message}`);
+            return new Response(`Error: ${error.message}`, { status: 500 });
+        }
+    }
+}
+
+// Keep the counters bounded: drop the least served photos, and fold the request counters of the
+// least requested cache keys into OTHER_CACHE_KEY so request totals stay intact
+function pruneCounters(counters) {
+    const photoIds = Object.keys(counters.photos);
+    if (photoIds.length > MAX_TRACKED_PHOTOS) {
+        const kept = photoIds
+            .sort((a, b) => counters.photos[b] - counters.photos[a])
+            .slice(0, Math.floor(MAX_TRACKED_PHOTOS / 2));
+        counters.photos = Object.fromEntries(kept.map(photoId => [photoId, counters.photos[photoId]]));
+    }
+
+    const cacheKeys = Object.keys(counters.requests).filter(cacheKey => cacheKey !== OTHER_CACHE_KEY);
+    if (cacheKeys.length > MAX_TRACKED_CACHE_KEYS) {
+        const total = (cacheKey) => Object.values(counters.requests[cacheKey]).reduce((sum, count) => sum + count, 0);
+        const folded = cacheKeys
+            .sort((a, b) => total(b) - total(a))
+            .slice(Math.floor(MAX_TRACKED_CACHE_KEYS / 2));
+
+        const other = counters.requests[OTHER_CACHE_KEY] || {};
+        for (const cacheKey of folded) {
+            addCounts(other, counters.requests[cacheKey]);
+            delete counters.requests[cacheKey];
+        }
+        counters.requests[OTHER_CACHE_KEY] = other;
+    }
+}
@@ -0,0 +1,158 @@
+// Mixes
+// -----------------------------------------------------------
+// A mix lists weighted sources, each a set of /random filters. Every request with mix= picks one source
+// by weight and is served from that source's cache, exactly as if its filters had been given directly.
+// Mixes are given inline (70:addPhotoOfTheDay=true|30:orientation=squarish) or by the name of a
+// preset stored in KV (MIX_<name>) through the admin API.
+
+import { getStorage } from './storage.js';
+import { parseParams, FILTER_PARAMETERS } from './params.js';
+
+export const MIX_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_MIX_SOURCES = 10;
+const MIX_CACHE_TTL = 60000; // How long an isolate trusts a preset before re-reading KV
+const MIX_EXAMPLE = '70:addPhotoOfTheDay=true|30:orientation=squarish';
+
+// Presets by name - null caches unknown names too
+const mixCache = new Map();
+
+// Resolve the mix parameter - returns { sources }, or { error } naming the mix parameter
+// Each source is { index, name, weight, params } with the parsed filters in params.
+export async function resolveMix(value, env) {
+    if (!value.includes(':')) {
+        const mix = MIX_NAME_PATTERN.test(value) ? await getMix(value, env) : null;
+        if (!mix) {
+            return mixError(`Unknown mix "${value.slice(0, 100)}". Use the name of a preset or weighted sources such as ${MIX_EXAMPLE}.`);
+        }
+        return parseMixSources(mix.sources);
+    }
+
+    const sources = [];
+    for (const part of value.split('|')) {
+        const separator = part.indexOf(':');
+        if (separator === -1) {
+            return mixError(`Invalid mix source "${part.slice(0, 100)}". Sources are a weight and filters, such as ${MIX_EXAMPLE}.`);
+        }
+        // Filters of an inline source are separated by semicolons, since & would end the mix parameter
+        sources.push({ weight: part.slice(0, separator), filters: part.slice(separator + 1).replaceAll(';', '&') });
+    }
+    return parseMixSources(sources);
+}
+
+// Pick the index of a source by weight
+export function pickMixSource(sources) {
+    const total = sources.reduce((sum, source) => sum + source.weight, 0);
+    let roll = Math.random() * total;
+    for (const source of sources) {
+        roll -= source.weight;
+        if (roll < 0) return source.index;
+    }
+    return sources[sources.length - 1].index;
+}
+
+// Load a preset by name, cached per isolate
+export async function getMix(name, env) {
+    const cached = mixCache.get(name);
+    if (cached && Date.now() - cached.loadedAt < MIX_CACHE_TTL) {
+        return cached.mix;
+    }
+
+    const mix = await getStorage(env).get(`MIX_${name}`);
+    mixCache.set(name, { mix, loadedAt: Date.now() });
+    return mix;
+}
+
+// Create or replace a preset - returns { mix }, or { error } when its sources are invalid
+// Sources are { name, weight, filters } with the filters as a query string, e.g. collections=317099&orientation=portrait
+export async function saveMix(name, settings, env) {
+    if (!MIX_NAME_PATTERN.test(name || '')) {
+        return { error: 'Mix names only contain letters, digits, hyphens and underscores (up to 64).' };
+    }
+
+    const sources = (Array.isArray(settings.sources) ? settings.sources : []).map(source => ({
+        name: source && source.name ? String(source.name) : null,
+        weight: source ? source.weight : null,
+        filters: source && source.filters ? String(source.filters) : ''
+    }));
+    const parsed = parseMixSources(sources);
+    if (parsed.error) {
+        return { error: parsed.error.message };
+    }
+    if (sources.some(source => source.name !== null && !MIX_NAME_PATTERN.test(source.name))) {
+        return { error: 'Source names only contain letters, digits, hyphens and underscores (up to 64).' };
+    }
+
+    const mix = {
+        name,
+        sources: sources.map((source, index) => ({ ...source, weight: parsed.sources[index].weight })),
+        updatedAt: Date.now()
+    };
+    await getStorage(env).put(`MIX_${name}`, mix);
+    mixCache.delete(name);
+    return { mix };
+}
+
+// List every preset
+export async function listMixes(env) {
+    const storage = getStorage(env);
+    const mixes = [];
+    let cursor;
+
+    do {
+        const page = await storage.list({ prefix: 'MIX_', cursor });
+        for (const key of page.keys) {
+            const mix = await storage.get(key);
+            if (mix) mixes.push(mix);
+        }
+        cursor = page.cursor;
+    } while (cursor);
+
+    return mixes;
+}
+
+// Delete a preset - returns false for unknown names
+// Other isolates keep using their cached preset for up to MIX_CACHE_TTL
+export async function deleteMix(name, env) {
+    if (!MIX_NAME_PATTERN.test(name || '') || !(await getStorage(env).get(`MIX_${name}`))) {
+        return false;
+    }
+
+    await getStorage(env).delete(`MIX_${name}`);
+    mixCache.delete(name);
+    return true;
+}
+
+// Check the weights and parse the filters of each source
+function parseMixSources(sources) {
+    if (sources.length === 0 || sources.length > MAX_MIX_SOURCES) {
+        return mixError(`A mix has 1 to ${MAX_MIX_SOURCES} sources.`);
+    }
+
+    const parsed = [];
+    for (const [index, source] of sources.entries()) {
+        const weight = Number(source.weight);
+        if (String(source.weight).trim() === '' || !Number.isFinite(weight) || weight <= 0) {
+            return mixError(`Invalid weight "${String(source.weight).slice(0, 20)}" of mix source ${index + 1}. Weights are positive numbers.`);
+        }
+
+        const url = new URL(`https://mix/?${source.filters}`);
+        const unknown = [...url.searchParams.keys()].find(name => !FILTER_PARAMETERS.some(definition => definition.name === name));
+        if (unknown !== undefined) {
+            return mixError(`Mix source ${index + 1}: The ${unknown.slice(0, 50)} parameter is not a filter. Sources take ${FILTER_PARAMETERS.map(definition => definition.name).join(', ')}.`);
+        }
+
+        const { params, error } = parseParams(url, FILTER_PARAMETERS);
+        if (error) {
+            return mixError(`Mix source ${index + 1}: ${error.message}`);
+        }
+
+        parsed.push({ index, name: source.name || null, weight, params });
+    }
+
+    return { sources: parsed };
+}
+
+// Error of the mix parameter
+function mixError(message) {
+    return { error: { parameter: 'mix', message } };
+}
@@ -0,0 +1,276 @@
+// OpenAPI Document
+// -----------------------------------------------------------
+// The document served at /openapi.json. Query parameters are generated from the definitions in
+// params.js, so the document always describes what the Worker actually accepts.
+
+import {
+    RANDOM_PARAMETERS,
+    DAILY_PARAMETERS,
+    DAILY_HISTORY_PARAMETERS,
+    SEARCH_PARAMETERS,
+    PLACEHOLDER_PARAMETERS,
+    PHOTO_ID_PATTERN
+} from './params.js';
+
+// Credit and sizing fields of a simplified image (dl=true)
+const IMAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        imageUrl: { type: 'string', format: 'uri' },
+        srcset: { type: 'string', description: 'Only with srcset=true' },
+        sizes: { type: 'string', description: 'Only with srcset=true' },
+        artistName: { type: 'string' },
+        artistProfileUrl: { type: ['string', 'null'], format: 'uri' },
+        photoId: { type: 'string' },
+        photoUrl: { type: 'string', format: 'uri' },
+        unsplashUrl: { type: 'string', format: 'uri', description: 'Only for Unsplash photos' },
+        provider: { type: 'string' },
+        providerName: { type: 'string' },
+        providerUrl: { type: ['string', 'null'], format: 'uri' },
+        description: { type: 'string' },
+        altDescription: { type: 'string' },
+        blurHash: { type: ['string', 'null'] },
+        color: { type: ['string', 'null'] },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        createdAt: { type: ['string', 'null'], format: 'date-time' },
+        downloadLocation: { type: ['string', 'null'], format: 'uri' }
+    }
+};
+
+// Photo as the provider returns it (dl=false)
+const PHOTO_SCHEMA = {
+    type: 'object',
+    description: 'The photo object of the provider, in the format of the Unsplash API',
+    additionalProperties: true
+};
+
+// Error envelope of every failed request
+const ERROR_RESPONSE = {
+    description: 'Error envelope. Retry-After is set when retryAfter is',
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                properties: {
+                    error: {
+                        type: 'object',
+                        properties: {
+                            code: {
+                                type: 'string',
+                                enum: ['invalid_parameter', 'unauthorized', 'forbidden', 'not_found', 'rate_limited', 'upstream_error', 'circuit_open', 'internal_error']
+                            },
+                            message: { type: 'string' },
+                            parameter: { type: ['string', 'null'], description: 'The offending query parameter' },
+                            retryAfter: { type: ['integer', 'null'], description: 'Seconds to wait before retrying' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Build the document - origin is the base URL of this deployment
+export function buildOpenApiDocument(origin) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Unsplash Workers API',
+            version: '1.0.0',
+            description: 'Cached random images from Unsplash and other providers, with attribution.'
+        },
+        servers: [{ url: origin }],
+        paths: {
+            '/random': {
+                get: {
+                    summary: 'A random image, or a batch of them with count',
+                    parameters: buildParameters(RANDOM_PARAMETERS),
+                    security: [{}, { clientKey: [] }],
+                    responses: imageResponses({ batch: true })
+                }
+            },
+            '/daily': {
+                get: {
+                    summary: 'The image of the day - the same image for everyone until midnight in tz',
+                    parameters: buildParameters(DAILY_PARAMETERS),
+                    security: [{}, { clientKey: [] }],
+                    responses: imageResponses({ batch: false })
+                }
+            },
+            '/daily/history': {
+                get: {
+                    summary: 'Earlier images of the day',
+                    parameters: buildParameters(DAILY_HISTORY_PARAMETERS),
+                    responses: {
+                        200: jsonResponse('The stored picks, oldest first', {
+                            type: 'object',
+                            properties: {
+                                from: { type: 'string', format: 'date' },
+                                to: { type: 'string', format: 'date' },
+                                days: {
+                                    type: 'array',
+                                    items: { allOf: [{ type: 'object', properties: { date: { type: 'string', format: 'date' } } }, IMAGE_SCHEMA] }
+                                }
+                            }
+                        }),
+                        400: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/search': {
+                get: {
+                    summary: 'Search Unsplash photos',
+                    parameters: buildParameters(SEARCH_PARAMETERS),
+                    responses: {
+                        200: jsonResponse('Search results in the format of the Unsplash API', {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer' },
+                                total_pages: { type: 'integer' },
+                                results: { type: 'array', items: PHOTO_SCHEMA }
+                            }
+                        }),
+                        400: ERROR_RESPONSE,
+                        500: ERROR_RESPONSE,
+                        503: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/photos/{id}': {
+                get: {
+                    summary: 'A single Unsplash photo',
+                    parameters: [photoIdParameter()],
+                    responses: {
+                        200: jsonResponse('The photo', PHOTO_SCHEMA),
+                        400: ERROR_RESPONSE,
+                        404: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/placeholder/{id}': {
+                get: {
+                    summary: 'A tiny blurred SVG to show while the photo loads',
+                    parameters: [photoIdParameter(), ...buildParameters(PLACEHOLDER_PARAMETERS)],
+                    responses: {
+                        200: {
+                            description: 'The SVG, or its data URI with format=datauri',
+                            content: {
+                                'image/svg+xml': { schema: { type: 'string' } },
+                                'text/plain': { schema: { type: 'string' } }
+                            }
+                        },
+                        400: ERROR_RESPONSE,
+                        404: ERROR_RESPONSE
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: { Image: IMAGE_SCHEMA },
+            securitySchemes: {
+                clientKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Client key issued through the admin API' }
+            }
+        }
+    };
+}
+
+// Query parameters of an operation, from their definitions
+function buildParameters(definitions) {
+    return definitions.map(definition => {
+        const parameter = {
+            name: definition.name,
+            in: 'query',
+            description: describe(definition),
+            schema: buildSchema(definition)
+        };
+        if (definition.required) {
+            parameter.required = true;
+        }
+        if (definition.type === 'list') {
+            parameter.style = 'form';
+            parameter.explode = false;
+        }
+        if (definition.deprecated) {
+            parameter.deprecated = true;
+        }
+        return parameter;
+    });
+}
+
+// JSON schema of one parameter value
+function buildSchema(definition) {
+    const value = { type: definition.type === 'integer' || definition.type === 'number' || definition.type === 'boolean' ? definition.type : 'string' };
+    if (definition.type === 'date') value.format = 'date';
+    if (definition.enum) value.enum = definition.enum;
+    if (definition.pattern) value.pattern = definition.pattern.source;
+    if (definition.minimum !== undefined) value.minimum = definition.minimum;
+    if (definition.maximum !== undefined) value.maximum = definition.maximum;
+    if (definition.maxLength !== undefined && definition.type !== 'list') value.maxLength = definition.maxLength;
+
+    const schema = definition.type === 'list' ? { type: 'array', items: value } : value;
+    if (definition.maxItems !== undefined) schema.maxItems = definition.maxItems;
+    if (definition.default !== undefined && definition.default !== null) {
+        schema.default = definition.default;
+    }
+    return schema;
+}
+
+// Parameter description, with the combinations the Worker rejects
+function describe(definition) {
+    const notes = [definition.description];
+    if (definition.excludes) {
+        const names = definition.excludes.map(exclusion => typeof exclusion === 'string' ? exclusion : `${exclusion.name}=${exclusion.value}`);
+        notes.push(`Cannot be combined with ${names.join(', ')}`);
+    }
+    if (definition.requiresOneOf) {
+        notes.push(`Requires ${definition.requiresOneOf.join(' or ')}`);
+    }
+    if (definition.type === 'list' && definition.maxLength !== undefined) {
+        notes.push(`At most ${definition.maxLength} characters`);
+    }
+    return notes.join('. ') + '.';
+}
+
+// Path parameter of /photos/{id} and /placeholder/{id}
+function photoIdParameter() {
+    return {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Unsplash photo ID',
+        schema: { type: 'string', pattern: PHOTO_ID_PATTERN.source }
+    };
+}
+
+// JSON response with a schema
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+// Responses of the endpoints that serve images in every output format
+function imageResponses({ batch }) {
+    const image = {
+        oneOf: [
+            { $ref: '#/components/schemas/Image' },
+            PHOTO_SCHEMA
+        ]
+    };
+    return {
+        200: {
+            description: `The image as JSON${batch ? ' (an array with count)' : ''}, an HTML figure (format=html), a Markdown credit line (format=attribution) ` +
+                'or the image itself with the credit in X-Photographer and X-Attribution headers (format=bytes)',
+            content: {
+                'application/json': { schema: batch ? { oneOf: [image, { type: 'array', items: image }] } : image },
+                'text/html': { schema: { type: 'string' } },
+                'text/markdown': { schema: { type: 'string' } },
+                'image/*': { schema: { type: 'string', format: 'binary' } }
+            }
+        },
+        302: { description: 'Redirect to the image (format=redirect)' },
+        400: ERROR_RESPONSE,
+        429: ERROR_RESPONSE,
+        500: ERROR_RESPONSE,
+        503: ERROR_RESPONSE
+    };
+}
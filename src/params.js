@@ -0,0 +1,390 @@
+// Request Parameters
+// -----------------------------------------------------------
+// Every query parameter of the public endpoints, defined once. The definitions drive parsing with
+// strict validation (a 400 naming the bad parameter), the cache key, and the OpenAPI document served
+// at /openapi.json. A definition has:
+//   name            query parameter
+//   field           property of the parsed parameters (default: name)
+//   type            'string', 'integer', 'number', 'boolean', 'date' or 'list' (comma-separated, kept as a string)
+//   enum            allowed values - of every item for lists
+//   pattern, hint   RegExp every value (every item for lists) must match, and what to tell callers that don't
+//   minimum, maximum, maxLength (of the whole value, lists included), maxItems (lists)
+//   default         value when the parameter is missing or empty
+//   normalize       clean a raw value before it is checked - null treats it as missing, undefined rejects it
+//   required        the parameter must be given
+//   cacheKey        the value decides which photos qualify, so it is part of the cache key
+//   excludes        parameters it can't be combined with - { name, value } for one value of a parameter
+//   requiresOneOf   parameters of which one must be given with it
+//   deprecated, description
+
+export const MAX_BATCH_SIZE = 30; // Unsplash's maximum for count=
+export const OUTPUT_FORMATS = ['json', 'redirect', 'html', 'attribution', 'bytes'];
+export const SEARCH_COLORS = ['black_and_white', 'black', 'white', 'yellow', 'orange', 'red', 'purple', 'magenta', 'green', 'teal', 'blue'];
+export const PROVIDER_NAMES = ['unsplash', 'pexels', 'static'];
+export const PHOTO_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/; // Path parameter of /photos/:id and /placeholder/:id
+
+const ORIENTATIONS = ['landscape', 'portrait', 'squarish'];
+const IMAGE_TYPES = ['full', 'regular', 'small', 'thumb', 'raw'];
+const IMAGE_FORMATS = ['avif', 'gif', 'jp2', 'jpg', 'jxr', 'pjpg', 'png', 'png8', 'png32', 'webp']; // imgix fm values
+const CROP_MODES = ['top', 'bottom', 'left', 'right', 'faces', 'focalpoint', 'edges', 'entropy'];
+const FIT_MODES = ['clamp', 'clip', 'crop', 'facearea', 'fill', 'fillmax', 'max', 'min', 'scale'];
+const MAX_IMAGE_SIZE = 8192; // imgix's largest output dimension
+// Collections and topics go into the cache key, and with it into KV keys (at most 512 bytes) and Durable
+// Object names - together with every other filter they must stay well below that
+const MAX_LIST_LENGTH = 120;
+const MAX_LIST_ITEMS = 10;
+
+// Definitions shared by several endpoints
+const ORIENTATION = {
+    name: 'orientation',
+    type: 'string',
+    enum: ORIENTATIONS,
+    description: 'Image orientation'
+};
+
+const QUERY = {
+    name: 'query',
+    type: 'string',
+    normalize: normalizeQuery,
+    maxLength: 100,
+    description: 'Search term. Punctuation is ignored and case does not matter'
+};
+
+const TIME_ZONE = {
+    name: 'tz',
+    field: 'timeZone',
+    type: 'string',
+    default: 'UTC',
+    normalize: canonicalTimeZone,
+    hint: 'Unknown time zone - use an IANA name such as Europe/Berlin.',
+    description: 'IANA time zone deciding which date "today" is, e.g. Europe/Berlin'
+};
+
+// Parameters that decide which photos qualify (/random and /daily)
+export const FILTER_PARAMETERS = [
+    { ...ORIENTATION, default: 'landscape', cacheKey: true },
+    {
+        name: 'collections',
+        field: 'collectionIds',
+        type: 'list',
+        pattern: /^[a-zA-Z0-9]+$/,
+        maxLength: MAX_LIST_LENGTH,
+        maxItems: MAX_LIST_ITEMS,
+        hint: 'Collection IDs only contain letters and digits.',
+        cacheKey: true,
+        description: 'Comma-separated Unsplash collection IDs. Requires a client key allowed to use them, unless all are in SHARED_CACHE_COLLECTIONS'
+    },
+    {
+        name: 'addPhotoOfTheDay',
+        type: 'boolean',
+        default: false,
+        cacheKey: true,
+        excludes: ['collections'],
+        description: "Pull from Unsplash's Photo of the Day collection"
+    },
+    {
+        ...QUERY,
+        cacheKey: true,
+        excludes: ['collections', 'topics', 'addPhotoOfTheDay'],
+        description: 'Limit selection to photos matching a search term'
+    },
+    {
+        name: 'topics',
+        field: 'topicIds',
+        type: 'list',
+        pattern: /^[a-zA-Z0-9_-]+$/,
+        maxLength: MAX_LIST_LENGTH,
+        maxItems: MAX_LIST_ITEMS,
+        hint: 'Topic IDs and slugs only contain letters, digits, hyphens and underscores.',
+        cacheKey: true,
+        description: 'Comma-separated Unsplash topic IDs or slugs'
+    },
+    {
+        name: 'username',
+        type: 'string',
+        normalize: (value) => value.replace(/^@/, ''),
+        pattern: /^[a-zA-Z0-9_]+$/,
+        maxLength: 50,
+        hint: 'Usernames only contain letters, digits and underscores.',
+        cacheKey: true,
+        description: 'Limit selection to a single photographer'
+    },
+    {
+        name: 'content_filter',
+        field: 'contentFilter',
+        type: 'string',
+        enum: ['low', 'high'],
+        normalize: (value) => value === 'low' ? null : value, // Unsplash's default - neither sent nor keyed
+        cacheKey: true,
+        description: 'Content safety filter. Default: low'
+    },
+    {
+        name: 'provider',
+        type: 'string',
+        enum: PROVIDER_NAMES,
+        normalize: (value) => value.toLowerCase() === 'unsplash' ? null : value.toLowerCase(), // The default keeps the default cache key
+        cacheKey: true,
+        description: 'Image provider to start with. Default: unsplash'
+    },
+    {
+        name: 'fallback',
+        type: 'list',
+        enum: PROVIDER_NAMES,
+        normalize: (value) => value.toLowerCase(),
+        cacheKey: true,
+        description: 'Providers to try in order when the provider fails. Default: the PROVIDER_FALLBACK variable'
+    }
+];
+
+// Parameters that shape the response (/random and /daily)
+export const OUTPUT_PARAMETERS = [
+    {
+        name: 'dl',
+        field: 'download',
+        type: 'boolean',
+        default: false,
+        description: 'Track a download and return the image URL with its credit instead of the full photo data'
+    },
+    { name: 'url', field: 'imageType', type: 'string', enum: IMAGE_TYPES, description: 'Fixed image size to return instead of a resized URL' },
+    { name: 'w', field: 'width', type: 'integer', minimum: 1, maximum: MAX_IMAGE_SIZE, description: 'Width for dynamic resizing. Default: from the client hints, else 1920' },
+    { name: 'h', field: 'height', type: 'integer', minimum: 1, maximum: MAX_IMAGE_SIZE, description: 'Height for dynamic resizing. Default: 1080 when neither w nor a width hint is given' },
+    { name: 'crop', type: 'list', enum: CROP_MODES, description: 'Crop mode for dynamic resizing' },
+    { name: 'fm', field: 'format', type: 'string', enum: IMAGE_FORMATS, description: 'Image format. Default: avif or webp when the Accept header allows them, else automatic' },
+    { name: 'q', field: 'quality', type: 'integer', minimum: 1, maximum: 100, description: 'Image quality' },
+    { name: 'fit', type: 'string', enum: FIT_MODES, description: 'Fit mode for dynamic resizing' },
+    { name: 'dpr', type: 'number', minimum: 1, maximum: 5, description: 'Device pixel ratio. Default: from the Sec-CH-DPR hint' },
+    {
+        name: 'format',
+        field: 'outputFormat',
+        type: 'string',
+        enum: OUTPUT_FORMATS,
+        default: 'json',
+        description: 'Output format: JSON, a 302 redirect to the image, an embeddable HTML figure, a Markdown credit line or the image itself'
+    },
+    {
+        name: 'srcset',
+        type: 'boolean',
+        default: false,
+        excludes: ['url', { name: 'format', value: 'redirect' }, { name: 'format', value: 'bytes' }],
+        description: 'Add srcset and sizes for responsive images'
+    }
+];
+
+// GET /random
+export const RANDOM_PARAMETERS = [
+    ...FILTER_PARAMETERS,
+    ...OUTPUT_PARAMETERS,
+    { name: 'nocache', field: 'noCache', type: 'boolean', default: false, description: 'Bypass the cache and fetch directly from the provider' },
+    {
+        name: 'apiKey',
+        field: 'userApiKey',
+        type: 'string',
+        deprecated: true,
+        description: 'Your personal Unsplash API key, which allows custom collections without caching. Send an issued client key in the X-API-Key header instead'
+    },
+    {
+        name: 'count',
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_BATCH_SIZE,
+        excludes: [{ name: 'format', value: 'redirect' }, { name: 'format', value: 'bytes' }],
+        description: 'Return a batch of distinct images'
+    },
+    {
+        name: 'session',
+        type: 'string',
+        pattern: /^[a-zA-Z0-9_-]+$/,
+        maxLength: 64,
+        hint: 'Session tokens only contain letters, digits, hyphens and underscores.',
+        description: 'Client token - photos recently served to it are skipped for the same parameters'
+    },
+    {
+        name: 'mode',
+        type: 'string',
+        enum: ['deck'],
+        cacheKey: true,
+        excludes: ['topics', 'username'],
+        requiresOneOf: ['collections', 'addPhotoOfTheDay'],
+        description: 'deck deals every photo of the collection once, in shuffled order, before reshuffling'
+    },
+    {
+        name: 'mix',
+        type: 'string',
+        maxLength: 1000,
+        excludes: [...FILTER_PARAMETERS.map(definition => definition.name), 'mode'],
+        description: 'Weighted sources to serve from - each request picks one by weight and is served from its cache. ' +
+            'The name of a preset, or sources such as 70:addPhotoOfTheDay=true|30:collections=317099;orientation=portrait'
+    }
+];
+
+// GET /daily
+export const DAILY_PARAMETERS = [...FILTER_PARAMETERS, ...OUTPUT_PARAMETERS, TIME_ZONE];
+
+// GET /daily/history
+export const DAILY_HISTORY_PARAMETERS = [
+    ...DAILY_PARAMETERS,
+    { name: 'from', type: 'date', description: 'First date. Default: 29 days before to' },
+    { name: 'to', type: 'date', description: 'Last date. Default: today' }
+];
+
+// GET /search
+export const SEARCH_PARAMETERS = [
+    { ...QUERY, required: true },
+    { name: 'page', type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+    { name: 'per_page', field: 'perPage', type: 'integer', minimum: 1, maximum: 30, default: 10, description: 'Results per page' },
+    { name: 'color', type: 'string', enum: SEARCH_COLORS, description: 'Color filter' },
+    ORIENTATION
+];
+
+// GET /placeholder/:id
+export const PLACEHOLDER_PARAMETERS = [
+    { name: 'format', type: 'string', enum: ['svg', 'datauri'], default: 'svg', description: 'The SVG itself, or its data URI as plain text' }
+];
+
+// Parameters that are part of the cache key
+export const CACHE_KEY_PARAMETERS = RANDOM_PARAMETERS.filter(definition => definition.cacheKey);
+
+// Property of the parsed parameters a definition fills
+export function getField(definition) {
+    return definition.field || definition.name;
+}
+
+// Parse the query parameters of a URL - returns { params }, or { error } naming the bad parameter
+export function parseParams(url, definitions) {
+    const params = {};
+    const given = new Map(); // Parameters given with a value, and that value
+
+    for (const definition of definitions) {
+        const raw = url.searchParams.get(definition.name);
+        const result = parseValue(definition, raw);
+        if (result.error) {
+            return { error: { parameter: definition.name, message: result.error } };
+        }
+
+        params[getField(definition)] = result.value;
+        if (result.given && result.value !== false) {
+            given.set(definition.name, result.value);
+        }
+    }
+
+    for (const definition of definitions) {
+        if (!given.has(definition.name)) continue;
+
+        for (const exclusion of definition.excludes || []) {
+            const { name, value } = typeof exclusion === 'string' ? { name: exclusion } : exclusion;
+            if (given.has(name) && (value === undefined || given.get(name) === value)) {
+                const other = value === undefined ? `the ${name} parameter` : `${name}=${value}`;
+                return { error: { parameter: definition.name, message: `The ${definition.name} parameter cannot be combined with ${other}.` } };
+            }
+        }
+
+        if (definition.requiresOneOf && !definition.requiresOneOf.some(name => given.has(name))) {
+            return { error: { parameter: definition.name, message: `The ${definition.name} parameter requires the ${definition.requiresOneOf.join(' or ')} parameter.` } };
+        }
+    }
+
+    return { params };
+}
+
+// Parse one raw value - { value, given } or { error }
+function parseValue(definition, raw) {
+    let value = raw === null || raw === '' ? null : raw;
+    if (value !== null && definition.normalize) {
+        value = definition.normalize(value);
+        if (value === undefined) {
+            return { error: invalidMessage(definition, raw) };
+        }
+    }
+
+    if (value === null) {
+        if (definition.required) {
+            return { error: `The ${definition.name} parameter is required.` };
+        }
+        return { value: definition.default === undefined ? null : definition.default, given: false };
+    }
+
+    if (definition.type === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            return { error: invalidMessage(definition, raw) };
+        }
+        return { value: value === 'true', given: true };
+    }
+
+    if (definition.type === 'integer' || definition.type === 'number') {
+        const number = Number(value);
+        const isValid = value.trim() !== '' && Number.isFinite(number) &&
+            (definition.type === 'number' || Number.isInteger(number)) &&
+            (definition.minimum === undefined || number >= definition.minimum) &&
+            (definition.maximum === undefined || number <= definition.maximum);
+        return isValid ? { value: number, given: true } : { error: invalidMessage(definition, raw) };
+    }
+
+    if (definition.type === 'date') {
+        return isValidDate(value) ? { value, given: true } : { error: invalidMessage(definition, raw) };
+    }
+
+    if (definition.maxLength && value.length > definition.maxLength) {
+        return { error: `The ${definition.name} parameter must be at most ${definition.maxLength} characters long.` };
+    }
+
+    if (definition.type === 'list') {
+        const items = [...new Set(value.split(',').map(item => item.trim()).filter(Boolean))];
+        if (items.length === 0 || !items.every(item => isAllowed(definition, item))) {
+            return { error: invalidMessage(definition, raw) };
+        }
+        if (definition.maxItems && items.length > definition.maxItems) {
+            return { error: `The ${definition.name} parameter takes at most ${definition.maxItems} values.` };
+        }
+        return { value: items.join(','), given: true };
+    }
+
+    return isAllowed(definition, value) ? { value, given: true } : { error: invalidMessage(definition, raw) };
+}
+
+// Check a string value (or list item) against the enum and pattern of its definition
+function isAllowed(definition, value) {
+    if (definition.enum && !definition.enum.includes(value)) return false;
+    if (definition.pattern && !definition.pattern.test(value)) return false;
+    return true;
+}
+
+// Error message for an invalid value, saying what would have been accepted
+function invalidMessage(definition, raw) {
+    let expected = definition.hint || '';
+    if (definition.enum) {
+        expected = `Supported values: ${definition.enum.join(', ')}${definition.type === 'list' ? ' (comma-separated)' : ''}.`;
+    } else if (definition.type === 'boolean') {
+        expected = 'Must be true or false.';
+    } else if (definition.type === 'integer' || definition.type === 'number') {
+        const kind = definition.type === 'integer' ? 'an integer' : 'a number';
+        expected = definition.maximum === undefined
+            ? `Must be ${kind} of at least ${definition.minimum}.`
+            : `Must be ${kind} between ${definition.minimum} and ${definition.maximum}.`;
+    } else if (definition.type === 'date') {
+        expected = 'Must be a date in YYYY-MM-DD format.';
+    }
+
+    return `Invalid ${definition.name} "${String(raw).slice(0, 100)}". ${expected}`.trim();
+}
+
+// Normalize a search term: keep letters, numbers, spaces, apostrophes and hyphens, and normalize case and
+// spacing so equal searches share a cache
+function normalizeQuery(query) {
+    return query.replace(/[^\p{L}\p{N}' -]/gu, ' ').replace(/\s+/g, ' ').trim().toLowerCase() || null;
+}
+
+// Canonical name of a time zone - undefined when it is unknown
+function canonicalTimeZone(timeZone) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Check that a string is an existing YYYY-MM-DD date
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === date;
+}
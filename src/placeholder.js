@@ -0,0 +1,110 @@
+// Placeholders
+// -----------------------------------------------------------
+// Tiny SVG stand-ins shown while the real image loads. A photo with a BlurHash is drawn as a small
+// blurred grid of its decoded colors; without one the photo's dominant color fills the frame.
+
+const BLURHASH_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const PLACEHOLDER_CELLS = 8; // Grid cells along the longer side of the photo
+const FALLBACK_COLOR = '#d9d9d9'; // Photos cached before colors were stored
+
+// SVG placeholder of a photo, in the photo's aspect ratio
+export function buildPlaceholderSvg(imageData) {
+    const photoWidth = imageData.width || 4;
+    const photoHeight = imageData.height || 3;
+    const columns = photoWidth >= photoHeight ? PLACEHOLDER_CELLS : Math.max(1, Math.round(PLACEHOLDER_CELLS * photoWidth / photoHeight));
+    const rows = photoWidth >= photoHeight ? Math.max(1, Math.round(PLACEHOLDER_CELLS * photoHeight / photoWidth)) : PLACEHOLDER_CELLS;
+    const open = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${columns} ${rows}" preserveAspectRatio="none">`;
+
+    const pixels = imageData.blur_hash ? decodeBlurHash(imageData.blur_hash, columns, rows) : null;
+    if (!pixels) {
+        const color = /^#[0-9a-fA-F]{6}$/.test(imageData.color || '') ? imageData.color : FALLBACK_COLOR;
+        return `${open}<rect width="${columns}" height="${rows}" fill="${color}"/></svg>`;
+    }
+
+    // Blur the cells into each other while keeping the edges opaque
+    const cells = pixels.map((row, y) => row.map((rgb, x) => `<rect x="${x}" y="${y}" width="1" height="1" fill="${toHex(rgb)}"/>`).join('')).join('');
+    return open +
+        '<filter id="b" x="0" y="0" width="100%" height="100%"><feGaussianBlur stdDeviation="0.6" edgeMode="duplicate"/>' +
+        '<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>' +
+        `<g filter="url(#b)">${cells}</g></svg>`;
+}
+
+// The placeholder as a data URI, for <img src> and CSS background-image
+export function buildPlaceholderDataUri(imageData) {
+    return `data:image/svg+xml,${encodeURIComponent(buildPlaceholderSvg(imageData))}`;
+}
+
+// Decode a BlurHash into rows of [r, g, b] pixels - null if the hash is invalid
+export function decodeBlurHash(hash, width, height) {
+    if (typeof hash !== 'string' || hash.length < 6 || ![...hash].every(char => BLURHASH_CHARACTERS.includes(char))) {
+        return null;
+    }
+
+    const sizeFlag = decode83(hash[0]);
+    const componentsY = Math.floor(sizeFlag / 9) + 1;
+    const componentsX = (sizeFlag % 9) + 1;
+    if (hash.length !== 4 + 2 * componentsX * componentsY) {
+        return null;
+    }
+
+    const maximumValue = (decode83(hash[1]) + 1) / 166;
+    const colors = [decodeDC(decode83(hash.slice(2, 6)))];
+    for (let i = 1; i < componentsX * componentsY; i++) {
+        colors.push(decodeAC(decode83(hash.slice(4 + i * 2, 6 + i * 2)), maximumValue));
+    }
+
+    const pixels = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const linear = [0, 0, 0];
+            for (let j = 0; j < componentsY; j++) {
+                for (let i = 0; i < componentsX; i++) {
+                    const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+                    const color = colors[i + j * componentsX];
+                    linear[0] += color[0] * basis;
+                    linear[1] += color[1] * basis;
+                    linear[2] += color[2] * basis;
+                }
+            }
+            row.push(linear.map(linearToSrgb));
+        }
+        pixels.push(row);
+    }
+
+    return pixels;
+}
+
+// Base 83 number of a BlurHash substring
+function decode83(text) {
+    return [...text].reduce((value, char) => value * 83 + BLURHASH_CHARACTERS.indexOf(char), 0);
+}
+
+// Average color component - plain sRGB
+function decodeDC(value) {
+    return [value >> 16, (value >> 8) & 255, value & 255].map(srgbToLinear);
+}
+
+// Other components - quantised to 19 levels per channel
+function decodeAC(value, maximumValue) {
+    const quantised = [Math.floor(value / (19 * 19)), Math.floor(value / 19) % 19, value % 19];
+    return quantised.map(level => {
+        const normalized = (level - 9) / 9;
+        return Math.sign(normalized) * normalized * normalized * maximumValue;
+    });
+}
+
+function srgbToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return v <= 0.0031308 ? Math.round(v * 12.92 * 255) : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+}
+
+// #rrggbb of an [r, g, b] color
+function toHex(rgb) {
+    return '#' + rgb.map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,300 @@
+// Image Providers
+// -----------------------------------------------------------
+// Sources of random images next to Unsplash, so images keep coming when Unsplash is down or out of
+// quota. Every provider (Unsplash's lives next to the Unsplash code in index.js) has the same shape:
+//   name, displayName
+//   isConfigured(env)                 - whether the provider can be used at all (async)
+//   supports(params)                  - whether it can apply the filters of a request
+//   fetchRandom(params, env)          - one random image
+//   fetchBatch(params, count, env)    - up to count random images
+//   buildImageUrl(imageData, params)  - the image URL sized to the request
+//   buildCredit(imageData, params)    - photographer and source for the attribution
+//   trackDownload(imageData, env)     - report a download where the source asks for it
+// Images are returned in the shape of the stored Unsplash images, with a provider field and IDs
+// prefixed with the provider name so they never collide with Unsplash IDs. Providers don't apply the
+// filter rules - fetchRandomImage() and fetchRandomImages() in index.js do, for every provider.
+
+import { getStorage } from './storage.js';
+import { NotFoundError, UpstreamError } from './errors.js';
+import { createApiClient, shuffle } from './utils.js';
+
+// Determine image orientation based on dimensions
+export function getImageOrientation(imageData) {
+    if (!imageData.width || !imageData.height) return null;
+
+    const ratio = imageData.width / imageData.height;
+    if (ratio > 1.2) return 'landscape';
+    if (ratio < 0.8) return 'portrait';
+    return 'squarish';
+}
+
+// Collections, topics, usernames and the photo of the day only exist on Unsplash
+function supportsSearchFilters(params) {
+    return !params.collectionIds && !params.addPhotoOfTheDay && !params.topicIds && !params.username;
+}
+
+// Pexels
+// -----------------------------------------------------------
+// Needs the PEXELS_API_KEY secret. Pexels has no random endpoint, so random images are taken from a
+// random page of the curated photos (or of the search results for query=).
+
+export const PEXELS_API_URL = 'https://api.pexels.com';
+const PEXELS_PAGE_SIZE = 30;
+const PEXELS_RANDOM_PAGES = 10; // Random pages are picked among the first this many
+const PEXELS_ORIENTATIONS = { landscape: 'landscape', portrait: 'portrait', squarish: 'square' };
+
+// Create a client for a Pexels API at baseUrl - env.PEXELS_CLIENT replaces the default one in tests.
+// It works like the Unsplash client, with the Pexels API as the default.
+export function createPexelsClient({ baseUrl = PEXELS_API_URL, fetch } = {}) {
+    return createApiClient({ baseUrl, fetch });
+}
+
+const defaultPexelsClient = createPexelsClient();
+
+export const pexelsProvider = {
+    name: 'pexels',
+    displayName: 'Pexels',
+    isConfigured: async (env) => Boolean(env.PEXELS_API_KEY),
+    supports: supportsSearchFilters,
+    fetchRandom: async (params, env) => {
+        const [imageData] = await fetchPexelsPhotos(params, 1, env);
+        if (!imageData) {
+            throw new NotFoundError('Pexels returned no photo matching the filters');
+        }
+        return imageData;
+    },
+    fetchBatch: (params, count, env) => fetchPexelsPhotos(params, count, env),
+    buildImageUrl: buildPexelsImageUrl,
+    buildCredit: (imageData) => ({
+        artistName: imageData.user.name,
+        artistProfileUrl: imageData.user.links.html,
+        photoUrl: imageData.links.html,
+        providerName: 'Pexels',
+        providerUrl: 'https://www.pexels.com'
+    }),
+    trackDownload: async () => true // Pexels doesn't track downloads
+};
+
+// Random photos from a random page of results - the first page when the results end sooner
+async function fetchPexelsPhotos(params, count, env) {
+    let photos = await fetchPexelsPage(params, 1 + Math.floor(Math.random() * PEXELS_RANDOM_PAGES), env);
+    if (photos.length === 0) {
+        photos = await fetchPexelsPage(params, 1, env);
+    }
+
+    // Curated photos can't be filtered by orientation upstream
+    const images = photos.map(normalizePexelsPhoto)
+        .filter(imageData => params.query || !params.orientation || getImageOrientation(imageData) === params.orientation);
+    return shuffle(images).slice(0, count);
+}
+
+// One page of curated photos, or of search results
+async function fetchPexelsPage(params, page, env) {
+    const client = env.PEXELS_CLIENT || defaultPexelsClient;
+    const fetchUrl = client.url(params.query ? '/v1/search' : '/v1/curated');
+    fetchUrl.searchParams.append('per_page', String(PEXELS_PAGE_SIZE));
+    fetchUrl.searchParams.append('page', String(page));
+    if (params.query) {
+        fetchUrl.searchParams.append('query', params.query);
+        if (params.orientation) fetchUrl.searchParams.append('orientation', PEXELS_ORIENTATIONS[params.orientation]);
+    }
+
+    const response = await client.fetch(fetchUrl, { headers: { 'Authorization': env.PEXELS_API_KEY } });
+    if (!response.ok) {
+        throw new UpstreamError(`Pexels API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data.photos) ? data.photos : [];
+}
+
+// Reduce a Pexels photo to the stored image shape
+function normalizePexelsPhoto(photo) {
+    return {
+        id: `pexels-${photo.id}`,
+        provider: 'pexels',
+        urls: {
+            raw: photo.src.original,
+            full: photo.src.original,
+            regular: photo.src.large2x,
+            small: photo.src.medium,
+            thumb: photo.src.small
+        },
+        user: {
+            name: photo.photographer,
+            username: null,
+            links: { html: photo.photographer_url }
+        },
+        width: photo.width,
+        height: photo.height,
+        links: {
+            html: photo.url,
+            download_location: null
+        },
+        description: null,
+        alt_description: photo.alt || null,
+        blur_hash: null,
+        color: photo.avg_color || null,
+        created_at: null,
+        current_user_collections: []
+    };
+}
+
+// Pexels resizes with w, h and dpr on the original URL - it picks formats and quality itself
+function buildPexelsImageUrl(imageData, params) {
+    if (params.imageType) {
+        return imageData.urls[params.imageType];
+    }
+
+    const imageUrl = new URL(imageData.urls.raw);
+    imageUrl.searchParams.set('auto', 'compress');
+    imageUrl.searchParams.set('cs', 'tinysrgb');
+    if (params.width) imageUrl.searchParams.set('w', params.width);
+    if (params.height) imageUrl.searchParams.set('h', params.height);
+    if (params.width && params.height) imageUrl.searchParams.set('fit', 'crop');
+    if (params.dpr) imageUrl.searchParams.set('dpr', params.dpr);
+    return imageUrl.toString();
+}
+
+// Static Manifest
+// -----------------------------------------------------------
+// Self-hosted images listed in a JSON manifest, read from the STATIC_MANIFEST_URL variable or the
+// STATIC_MANIFEST key in KV:
+//   { "name": "Example Photos", "url": "https://example.com/photos",
+//     "resizeUrl": "https://example.com/cdn-cgi/image/{options}/{url}",
+//     "images": [{ "id": "harbour", "url": "https://example.com/harbour.jpg", "width": 4000, "height": 3000,
+//                  "author": "Jane Doe", "authorUrl": "...", "pageUrl": "...", "description": "...",
+//                  "altDescription": "...", "tags": ["sea", "boats"], "color": "#335577", "blurHash": "..." }] }
+// A plain array of images works too. Without resizeUrl images are served at their own size; with it
+// {options} becomes Cloudflare Image Resizing options (width=800,height=600,fit=cover,format=auto).
+
+const STATIC_MANIFEST_KEY = 'STATIC_MANIFEST';
+const STATIC_MANIFEST_SYNC_INTERVAL = 300000; // How long a loaded manifest is trusted
+const STATIC_FORMATS = { avif: 'avif', webp: 'webp', jpg: 'jpeg', png: 'png' };
+
+// Loaded manifests per environment
+const staticManifests = new WeakMap();
+
+export const staticProvider = {
+    name: 'static',
+    displayName: 'Static',
+    isConfigured: async (env) => (await loadStaticManifest(env)).images.length > 0,
+    supports: supportsSearchFilters,
+    fetchRandom: async (params, env) => {
+        const [imageData] = await fetchStaticImages(params, 1, env);
+        if (!imageData) {
+            throw new NotFoundError('No image of the static manifest matches the filters');
+        }
+        return imageData;
+    },
+    fetchBatch: (params, count, env) => fetchStaticImages(params, count, env),
+    buildImageUrl: buildStaticImageUrl,
+    buildCredit: (imageData) => ({
+        artistName: imageData.user.name,
+        artistProfileUrl: imageData.user.links.html,
+        photoUrl: imageData.links.html,
+        providerName: imageData.source.name,
+        providerUrl: imageData.source.url
+    }),
+    trackDownload: async () => true // Nobody to report self-hosted downloads to
+};
+
+// Random images of the manifest that match the orientation and query
+async function fetchStaticImages(params, count, env) {
+    const manifest = await loadStaticManifest(env);
+    const words = params.query ? params.query.split(' ') : [];
+
+    const matches = manifest.images.filter(imageData => {
+        // Images without a size can't be told apart by orientation and match any
+        const orientation = getImageOrientation(imageData);
+        if (params.orientation && orientation && orientation !== params.orientation) return false;
+
+        const text = [imageData.description, imageData.alt_description, ...imageData.tags].filter(Boolean).join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+
+    return shuffle(matches).slice(0, count);
+}
+
+// Load the manifest, at most once per sync interval. A manifest that fails to load keeps the last good one.
+async function loadStaticManifest(env) {
+    const cached = staticManifests.get(env);
+    if (cached && Date.now() - cached.lastSync < STATIC_MANIFEST_SYNC_INTERVAL) {
+        return cached.manifest;
+    }
+
+    let manifest = cached ? cached.manifest : normalizeStaticManifest(null);
+    try {
+        if (env.STATIC_MANIFEST_URL) {
+            const response = await fetch(env.STATIC_MANIFEST_URL);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            manifest = normalizeStaticManifest(await response.json());
+        } else {
+            manifest = normalizeStaticManifest(await getStorage(env).get(STATIC_MANIFEST_KEY));
+        }
+    } catch (error) {
+        console.error(`Error loading the static manifest: ${error.message}`);
+    }
+
+    staticManifests.set(env, { manifest, lastSync: Date.now() });
+    return manifest;
+}
+
+// Bring a manifest into the stored image shape - entries without an ID or URL are skipped
+function normalizeStaticManifest(manifest) {
+    const entries = Array.isArray(manifest) ? manifest : (manifest && manifest.images) || [];
+    const source = {
+        name: (manifest && manifest.name) || null,
+        url: (manifest && manifest.url) || null
+    };
+    const resizeUrl = (manifest && manifest.resizeUrl) || null;
+
+    const images = entries
+        .filter(entry => entry && /^[a-zA-Z0-9_-]{1,50}$/.test(String(entry.id)) && typeof entry.url === 'string')
+        .map(entry => ({
+            id: `static-${entry.id}`,
+            provider: 'static',
+            urls: { raw: entry.url, full: entry.url, regular: entry.url, small: entry.url, thumb: entry.url },
+            user: {
+                name: entry.author || source.name || 'Unknown',
+                username: null,
+                links: { html: entry.authorUrl || null }
+            },
+            width: Number(entry.width) || null,
+            height: Number(entry.height) || null,
+            links: {
+                html: entry.pageUrl || entry.url,
+                download_location: null
+            },
+            description: entry.description || null,
+            alt_description: entry.altDescription || null,
+            blur_hash: entry.blurHash || null,
+            color: entry.color || null,
+            created_at: entry.createdAt || null,
+            tags: Array.isArray(entry.tags) ? entry.tags.map(tag => String(tag).toLowerCase()) : [],
+            source,
+            resize_url: resizeUrl,
+            current_user_collections: []
+        }));
+
+    return { images };
+}
+
+// Resize through the manifest's resizeUrl template, or serve the image as it is
+function buildStaticImageUrl(imageData, params) {
+    if (params.imageType || !imageData.resize_url) {
+        return imageData.urls.raw;
+    }
+
+    const options = [];
+    if (params.width) options.push(`width=${params.width}`);
+    if (params.height) options.push(`height=${params.height}`);
+    if (params.width && params.height) options.push('fit=cover');
+    if (params.dpr) options.push(`dpr=${params.dpr}`);
+    if (params.quality) options.push(`quality=${params.quality}`);
+    options.push(`format=${STATIC_FORMATS[params.format] || 'auto'}`);
+
+    return imageData.resize_url.replace('{options}', options.join(',')).replace('{url}', imageData.urls.raw);
+}
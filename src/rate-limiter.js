@@ -0,0 +1,97 @@
+// Rate Limiting
+// -----------------------------------------------------------
+// Token buckets per caller (an IP address or a client key), held by one RateLimiter Durable Object
+// per caller. A bucket holds up to `capacity` tokens and refills at `capacity` tokens per `period`
+// seconds; every request takes one token from each bucket that applies to it.
+
+// Take one token from each bucket of a caller
+// Returns { allowed: true }, or { allowed: false, bucket, retryAfter } naming the first empty bucket
+export async function takeRateLimitTokens(subject, buckets, env) {
+    if (buckets.length === 0) {
+        return { allowed: true };
+    }
+
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(subject));
+    const response = await limiter.fetch('https://rate-limiter/take', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ buckets })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Rate limiter failed: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// Rate Limiter Durable Object
+// -----------------------------------------------------------
+// Buckets live in memory only: an evicted object has been idle long enough for its buckets to be
+// nearly full again, and nothing is written to storage for the many one-off callers.
+
+export class RateLimiter {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.buckets = new Map(); // name -> { tokens, updatedAt }
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+
+        try {
+            if (action === 'take' && request.method === 'POST') {
+                const { buckets } = await request.json();
+                return jsonResponse(this.take(buckets));
+            }
+
+            return new Response('Not Found', { status: 404 });
+        } catch (error) {
+            console.error(`Rate limiter error (${action}): ${error.message}`);
+            return new Response(`Error: ${error.message}`, { status: 500 });
+        }
+    }
+
+    // Take a token from every bucket, or from none if any of them is empty
+    take(buckets) {
+        const now = Date.now();
+        const states = buckets.map(bucket => ({ bucket, state: this.refill(bucket, now) }));
+
+        const empty = states.find(({ state }) => state.tokens < 1);
+        if (empty) {
+            const { bucket, state } = empty;
+            const secondsPerToken = bucket.period / bucket.capacity;
+            return {
+                allowed: false,
+                bucket: bucket.name,
+                retryAfter: Math.max(1, Math.ceil((1 - state.tokens) * secondsPerToken))
+            };
+        }
+
+        for (const { state } of states) {
+            state.tokens -= 1;
+        }
+        return { allowed: true };
+    }
+
+    // Bring a bucket up to date - unknown buckets start full
+    refill(bucket, now) {
+        let state = this.buckets.get(bucket.name);
+        if (!state) {
+            state = { tokens: bucket.capacity, updatedAt: now };
+            this.buckets.set(bucket.name, state);
+        }
+
+        const elapsedSeconds = (now - state.updatedAt) / 1000;
+        state.tokens = Math.min(bucket.capacity, state.tokens + elapsedSeconds * bucket.capacity / bucket.period);
+        state.updatedAt = now;
+        return state;
+    }
+}
+
+// JSON response for the rate limiter
+function jsonResponse(result) {
+    return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
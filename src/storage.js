@@ -0,0 +1,97 @@
+// Storage
+// -----------------------------------------------------------
+// Everything the worker keeps outside Durable Objects goes through a small JSON key-value
+// interface, so the backend can be swapped:
+//   get(key)                         -> parsed value, or null
+//   put(key, value, { ttl })         -> stores the value as JSON, expiring after ttl seconds if given
+//   delete(key)
+//   list({ prefix, limit, cursor })  -> { keys: [names in lexicographic order], cursor } (cursor is null on the last page)
+// KVStorage wraps the NAZKVHUBSTORE namespace and is used by default. MemoryStorage keeps
+// everything in a Map, for tests and local experiments; set env.STORAGE to use it instead.
+
+// Storage backed by a Workers KV namespace
+export class KVStorage {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async get(key) {
+        return this.namespace.get(key, { type: 'json' });
+    }
+
+    async put(key, value, { ttl } = {}) {
+        await this.namespace.put(key, JSON.stringify(value), ttl ? { expirationTtl: ttl } : undefined);
+    }
+
+    async delete(key) {
+        await this.namespace.delete(key);
+    }
+
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+        const page = await this.namespace.list({ prefix, limit, cursor: cursor || undefined });
+        return {
+            keys: page.keys.map(key => key.name),
+            cursor: page.list_complete ? null : page.cursor
+        };
+    }
+}
+
+// Storage held in memory - values are stored as JSON so callers never share objects with it
+export class MemoryStorage {
+    constructor() {
+        this.entries = new Map(); // key -> { json, expiresAt }
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return JSON.parse(entry.json);
+    }
+
+    async put(key, value, { ttl } = {}) {
+        this.entries.set(key, {
+            json: JSON.stringify(value),
+            expiresAt: ttl ? Date.now() + ttl * 1000 : 0
+        });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+        const now = Date.now();
+        const names = [...this.entries.keys()]
+            .filter(key => key.startsWith(prefix))
+            .filter(key => !this.entries.get(key).expiresAt || this.entries.get(key).expiresAt > now)
+            .sort();
+
+        // The cursor is the offset of the next page
+        const start = cursor ? Number(cursor) : 0;
+        const keys = names.slice(start, start + limit);
+        const next = start + keys.length;
+
+        return { keys, cursor: next < names.length ? String(next) : null };
+    }
+}
+
+// Storage wrappers per KV namespace, reused across requests
+const kvStorages = new WeakMap();
+
+// The storage backend of an environment: env.STORAGE if set, otherwise the NAZKVHUBSTORE namespace
+export function getStorage(env) {
+    if (env.STORAGE) {
+        return env.STORAGE;
+    }
+
+    if (!kvStorages.has(env.NAZKVHUBSTORE)) {
+        kvStorages.set(env.NAZKVHUBSTORE, new KVStorage(env.NAZKVHUBSTORE));
+    }
+    return kvStorages.get(env.NAZKVHUBSTORE);
+}
@@ -0,0 +1,21 @@
+// Unsplash Client
+// -----------------------------------------------------------
+// Decides where Unsplash API calls go and how they are sent. The worker uses the default client
+// unless env.UNSPLASH_CLIENT holds one made by createUnsplashClient, which the tests use to point
+// it at a local fake Unsplash server.
+
+import { createApiClient } from './utils.js';
+
+export const UNSPLASH_API_URL = 'https://api.unsplash.com';
+
+// Create a client for an Unsplash API at baseUrl, sending requests with fetch
+export function createUnsplashClient({ baseUrl = UNSPLASH_API_URL, fetch } = {}) {
+    return createApiClient({ baseUrl, fetch });
+}
+
+const defaultClient = createUnsplashClient();
+
+// The Unsplash client of an environment
+export function getUnsplashClient(env) {
+    return env.UNSPLASH_CLIENT || defaultClient;
+}
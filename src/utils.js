@@ -0,0 +1,30 @@
+// Utilities
+// -----------------------------------------------------------
+// Small helpers shared by the provider clients and the Durable Objects, kept apart so modules
+// don't import each other for them.
+
+// Create a client for an HTTP API at baseUrl, sending requests with fetchFn. The provider clients
+// (createUnsplashClient, createPexelsClient) are made with it.
+export function createApiClient({ baseUrl, fetch: fetchFn = (url, init) => fetch(url, init) }) {
+    return {
+        // URL of an API path, e.g. url('/photos/random')
+        url(path) {
+            return new URL(path, baseUrl);
+        },
+
+        // Send a request to a URL made by url()
+        fetch(url, init) {
+            return fetchFn(url.toString(), init);
+        }
+    };
+}
+
+// Fisher-Yates shuffle into a new array
+export function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
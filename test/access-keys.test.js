@@ -0,0 +1,64 @@
+// Unsplash access key pool: rotating keys that run out of quota
+// The quota of every key is also kept per process, so every test here uses keys of its own.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash, readError } from './helpers.js';
+
+const ADMIN = { headers: { Authorization: 'Bearer test-admin-token' } };
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.accessKeys.length = 0;
+    fake.exhaustedKeys.clear();
+});
+
+test('retries with the next access key when one runs out of quota', async () => {
+    const env = createTestEnv(fake, { ACCESS_KEY: 'key-a', ACCESS_KEYS: 'key-b, key-c', ADMIN_TOKEN: 'test-admin-token' });
+    fake.exhaustedKeys.set('key-a', 403);
+
+    const first = await request(env, '/random?nocache=true');
+    assert.equal(first.response.status, 200);
+    assert.deepEqual(fake.accessKeys.slice(0, 2), ['key-a', 'key-b']);
+
+    // The exhausted key rests, later calls (the background refills too) start with the next one
+    assert.deepEqual(fake.accessKeys.filter(key => key === 'key-a'), ['key-a']);
+    fake.accessKeys.length = 0;
+    fake.exhaustedKeys.set('key-b', 429);
+    const second = await request(env, '/random?nocache=true');
+    assert.equal(second.response.status, 200);
+    assert.deepEqual(fake.accessKeys, ['key-b', 'key-c']);
+
+    const { accessKeys } = await (await request(env, '/admin/access-keys', ADMIN)).response.json();
+    assert.deepEqual(accessKeys.map(key => key.remaining), [0, 0, 4999]);
+    assert.ok(accessKeys[0].exhaustedUntil > Date.now());
+    assert.equal(accessKeys[2].exhaustedUntil, null);
+});
+
+test('answers 429 when every access key is out of quota', async () => {
+    const env = createTestEnv(fake, { ACCESS_KEY: 'key-d', ACCESS_KEYS: 'key-e' });
+    fake.exhaustedKeys.set('key-d', 403);
+    fake.exhaustedKeys.set('key-e', 403);
+
+    const { response } = await request(env, '/random?nocache=true');
+    assert.equal(response.status, 429);
+    const error = await readError(response);
+    assert.equal(error.code, 'rate_limited');
+    assert.ok(error.retryAfter > 0);
+    assert.equal(fake.requests.length, 2);
+
+    // Resting keys are not asked again
+    await request(env, '/random?nocache=true');
+    assert.equal(fake.requests.length, 2);
+});
@@ -0,0 +1,76 @@
+// Batch requests (count=): drawing from the caches and covering the shortfall
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.failWhen = null;
+    fake.photoCount = 0;
+});
+
+// Photo IDs of a batch, in the order they were served
+async function getBatch(env, count) {
+    const { response, errors } = await request(env, `/random?count=${count}&dl=true`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(errors, []);
+    const body = await response.json();
+    assert.equal(body.count, body.images.length);
+    return body.images.map(image => image.photoId);
+}
+
+test('takes a batch from main, then the buffer, and covers the shortfall with one call', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    await request(env, '/random'); // main: photos 2-4, buffer: photos 5-7
+    fake.requests.length = 0;
+
+    const ids = await getBatch(env, 8);
+    assert.equal(new Set(ids).size, 8);
+    assert.deepEqual(ids.slice(0, 3).sort(), ['photo-2', 'photo-3', 'photo-4']);
+    assert.deepEqual(ids.slice(3, 6).sort(), ['photo-5', 'photo-6', 'photo-7']);
+    assert.deepEqual(ids.slice(6), ['photo-8', 'photo-9']);
+
+    // One call for the shortfall, then the background refill of both caches
+    assert.deepEqual(fake.requestsTo('/photos/random').map(url => url.searchParams.get('count')), ['2', '3', '3']);
+    const [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.mainCache.images, 3);
+    assert.equal(status.bufferCache.images, 3);
+});
+
+test('serves a batch the caches cover without a shortfall call', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    await request(env, '/random');
+    fake.requests.length = 0;
+
+    const ids = await getBatch(env, 5);
+    assert.equal(new Set(ids).size, 5);
+    assert.ok(ids.every(id => ['photo-2', 'photo-3', 'photo-4', 'photo-5', 'photo-6', 'photo-7'].includes(id)), ids.join(' '));
+
+    // The only call refills the buffer after main was drained and the old buffer promoted
+    assert.deepEqual(fake.requestsTo('/photos/random').map(url => url.searchParams.get('count')), ['3']);
+});
+
+test('leaves photos the shortfall call repeats out of the batch', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    await request(env, '/random');
+    fake.requests.length = 0;
+    fake.photoCount = 6; // the shortfall call returns photo-7 again
+
+    const ids = await getBatch(env, 8);
+    assert.equal(ids.length, 7);
+    assert.equal(new Set(ids).size, 7);
+    assert.ok(ids.includes('photo-8'));
+    assert.equal(fake.requestsTo('/photos/random')[0].searchParams.get('count'), '2');
+});
@@ -0,0 +1,184 @@
+// CacheCoordinator Durable Object: popping, refilling and promoting one cache key, migrating and expiring its state
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CacheCoordinator } from '../src/cache-coordinator.js';
+import { MemoryStorage } from '../src/storage.js';
+import { MemoryObjectStorage, createPhoto } from './helpers.js';
+
+// Coordinator of one cache key with in-memory storage
+function createCoordinator(storage = new MemoryObjectStorage(), env = {}) {
+    return new CacheCoordinator({ storage }, { STORAGE: new MemoryStorage(), CACHE_CAPACITY: '3', ...env });
+}
+
+// Call an action of a coordinator the way the worker does - returns the status and the parsed body
+async function call(coordinator, action, body = {}) {
+    const response = await coordinator.fetch(new Request(`https://coordinator/${action}`, {
+        method: 'POST',
+        body: JSON.stringify({ cacheKey: 'orientation=landscape', ...body })
+    }));
+    return { status: response.status, body: response.ok ? await response.json() : await response.text() };
+}
+
+// Fill the buffer through the refill lock
+async function refill(coordinator, numbers) {
+    const lock = await call(coordinator, 'refill-start');
+    assert.equal(lock.body.acquired, true);
+    return call(coordinator, 'refill-complete', { images: numbers.map(createPhoto), token: lock.body.token });
+}
+
+test('serves a refilled batch once it is promoted, each image once', async () => {
+    const coordinator = createCoordinator();
+
+    const refilled = await refill(coordinator, [1, 2, 3]);
+    assert.equal(refilled.body.stored, true);
+    assert.equal(refilled.body.metadata.bufferCache.count, 3);
+    assert.equal(refilled.body.metadata.isRefilling, false);
+    assert.equal((await call(coordinator, 'pop', { cacheType: 'main' })).body.imageData, null);
+
+    const promoted = await call(coordinator, 'promote');
+    assert.equal(promoted.body.metadata.mainCache.count, 3);
+    assert.equal(promoted.body.metadata.bufferCache.count, 0);
+
+    // Concurrent pops never hand out the same image
+    const pops = await Promise.all([1, 2, 3, 4].map(() => call(coordinator, 'pop', { cacheType: 'main' })));
+    const ids = pops.map(pop => pop.body.imageData && pop.body.imageData.id);
+    assert.deepEqual(ids.filter(Boolean).sort(), ['photo-1', 'photo-2', 'photo-3']);
+    assert.equal(ids.filter(id => id === null).length, 1);
+    assert.equal(pops[3].body.metadata.mainCache.count, 0);
+
+    // Promoting an empty buffer leaves main alone
+    assert.equal((await call(coordinator, 'promote')).body.metadata.mainCache.count, 0);
+});
+
+test('only lets the refill holding the lock release it', async (t) => {
+    const clock = { now: Date.parse('2026-10-19T08:00:00Z') };
+    t.mock.method(Date, 'now', () => clock.now);
+    const coordinator = createCoordinator();
+
+    const slow = await call(coordinator, 'refill-start');
+    assert.equal(slow.body.acquired, true);
+    assert.equal((await call(coordinator, 'refill-start')).body.acquired, false);
+
+    // The slow refill's lock expires and another refill takes it over
+    clock.now += 61000;
+    const next = await call(coordinator, 'refill-start');
+    assert.equal(next.body.acquired, true);
+    assert.notEqual(next.body.token, slow.body.token);
+
+    const aborted = await call(coordinator, 'refill-abort', { token: slow.body.token });
+    assert.equal(aborted.body.released, false);
+    assert.equal(aborted.body.metadata.isRefilling, true);
+
+    const late = await call(coordinator, 'refill-complete', { images: [createPhoto(1)], token: slow.body.token });
+    assert.equal(late.body.stored, false);
+    assert.equal(late.body.metadata.bufferCache.count, 0);
+    assert.equal((await call(coordinator, 'refill-abort')).body.released, false);
+
+    const completed = await call(coordinator, 'refill-complete', { images: [createPhoto(2), createPhoto(3)], token: next.body.token });
+    assert.equal(completed.body.stored, true);
+    assert.equal(completed.body.metadata.bufferCache.count, 2);
+    assert.equal(completed.body.metadata.isRefilling, false);
+});
+
+test('retries a failed load and never works on a default state', async () => {
+    const storage = new MemoryObjectStorage();
+    await refill(createCoordinator(storage), [1, 2, 3]);
+
+    // A restarted object whose first read fails loads on the second attempt
+    const read = storage.get.bind(storage);
+    let failures = 1;
+    storage.get = async (keys) => {
+        if (failures-- > 0) throw new Error('storage unavailable');
+        return read(keys);
+    };
+    const retried = await call(createCoordinator(storage), 'metadata');
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.metadata.bufferCache.count, 3);
+
+    // Every attempt failing fails the request - the next request loads the stored state again
+    const coordinator = createCoordinator(storage);
+    failures = 2;
+    const failed = await call(coordinator, 'metadata');
+    assert.equal(failed.status, 500);
+    assert.equal(coordinator.loadError.message, 'storage unavailable');
+
+    const recovered = await call(coordinator, 'metadata');
+    assert.equal(recovered.body.metadata.bufferCache.count, 3);
+    assert.equal(coordinator.loadError, null);
+});
+
+test('migrates state stored by schema 1, from storage and from the KV backup', async (t) => {
+    const now = Date.parse('2026-10-19T08:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+
+    // Schema 1 had no version, settings or batch timestamps
+    const stateV1 = () => ({
+        metadata: {
+            cacheKey: 'orientation=landscape',
+            mainCache: { count: 3, currentPointer: 0 },
+            bufferCache: { count: 0, currentPointer: 0 },
+            lastRefillTime: now - 3600000,
+            lastRequestTime: now - 7200000,
+            requestCount: 12,
+            isRefilling: false
+        },
+        main: [1, 2, 3].map(createPhoto),
+        buffer: [null, null, null]
+    });
+    const assertMigrated = (metadata) => {
+        assert.equal(metadata.schemaVersion, 2);
+        assert.deepEqual(metadata.settings, { capacity: null, maxImageAgeHours: null });
+        assert.equal(metadata.capacity, 3);
+        assert.equal(metadata.mainCache.filledAt, now - 3600000);
+        assert.equal(metadata.bufferCache.filledAt, now - 3600000);
+        assert.equal(metadata.createdAt, now - 7200000);
+        assert.equal(metadata.requestCount, 12);
+    };
+
+    const storage = new MemoryObjectStorage();
+    await storage.put(stateV1());
+    const migrated = await call(createCoordinator(storage), 'pop', { cacheType: 'main' });
+    assert.match(migrated.body.imageData.id, /^photo-[123]$/);
+    assert.equal(migrated.body.metadata.mainCache.count, 2);
+    assertMigrated(migrated.body.metadata);
+    assertMigrated(await storage.get('metadata'));
+
+    const kv = new MemoryStorage();
+    const backup = stateV1();
+    await kv.put('META_orientation=landscape', backup.metadata);
+    await kv.put('MAIN_orientation=landscape', backup.main);
+    await kv.put('BUFFER_orientation=landscape', backup.buffer);
+    const restored = await call(createCoordinator(new MemoryObjectStorage(), { STORAGE: kv }), 'metadata');
+    assertMigrated(restored.body.metadata);
+    assert.equal(restored.body.metadata.mainCache.count, 3);
+
+    // State of a newer schema can't be read safely and starts over
+    const newer = new MemoryObjectStorage();
+    await newer.put({ ...stateV1(), metadata: { ...stateV1().metadata, schemaVersion: 3 } });
+    const fresh = await call(createCoordinator(newer), 'metadata');
+    assert.equal(fresh.body.metadata.schemaVersion, 2);
+    assert.equal(fresh.body.metadata.mainCache.count, 0);
+});
+
+test('drops a batch once it is older than the maximum image age', async (t) => {
+    const clock = { now: Date.parse('2026-10-19T08:00:00Z') };
+    t.mock.method(Date, 'now', () => clock.now);
+    const coordinator = createCoordinator(new MemoryObjectStorage(), { CACHE_MAX_IMAGE_AGE_HOURS: '3' });
+
+    await refill(coordinator, [1, 2, 3]);
+    await call(coordinator, 'promote');
+    clock.now += 2 * 3600000;
+    await refill(coordinator, [4, 5, 6]);
+
+    // Main was filled 4 hours ago, the buffer 2 hours ago
+    clock.now += 2 * 3600000;
+    const { body } = await call(coordinator, 'pop', { cacheType: 'main' });
+    assert.equal(body.imageData, null);
+    assert.equal(body.metadata.mainCache.count, 0);
+    assert.equal(body.metadata.bufferCache.count, 3);
+
+    clock.now += 2 * 3600000;
+    assert.equal((await call(coordinator, 'metadata')).body.metadata.bufferCache.count, 0);
+});
@@ -0,0 +1,77 @@
+// Image sizing from client hints, and srcset=true
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.photoCount = 0;
+});
+
+// Body and headers of a dl=true /random request
+async function getDownload(env, query, headers = {}) {
+    const { response } = await request(env, `/random?dl=true${query}`, { headers });
+    assert.equal(response.status, 200);
+    return { body: await response.json(), headers: response.headers };
+}
+
+// Resizing parameters of an image URL
+function resizeParams(imageUrl) {
+    const params = Object.fromEntries(new URL(imageUrl).searchParams);
+    delete params.ixid;
+    return params;
+}
+
+test('sizes the image 1920x1080 without hints or parameters', async () => {
+    const env = createTestEnv(fake);
+    const { body, headers } = await getDownload(env, '');
+
+    assert.deepEqual(resizeParams(body.imageUrl), { w: '1920', h: '1080', auto: 'format' });
+    assert.equal(headers.get('Accept-CH'), 'Sec-CH-Viewport-Width, Sec-CH-DPR, Width');
+    assert.equal(headers.get('Vary'), 'Accept, Sec-CH-Viewport-Width, Sec-CH-DPR, Width');
+});
+
+test('takes width, DPR and format from the client hints', async () => {
+    const env = createTestEnv(fake);
+
+    const viewport = await getDownload(env, '', { 'Sec-CH-Viewport-Width': '1366', 'Sec-CH-DPR': '2', 'Accept': 'image/avif,image/webp,*/*' });
+    assert.deepEqual(resizeParams(viewport.body.imageUrl), { w: '1400', dpr: '2', fm: 'avif' });
+
+    // Width is in device pixels already, so the DPR is not applied on top
+    const element = await getDownload(env, '', { 'Width': '750', 'Sec-CH-DPR': '2', 'Accept': 'image/webp,*/*' });
+    assert.deepEqual(resizeParams(element.body.imageUrl), { w: '800', fm: 'webp' });
+});
+
+test('parameters of the request win over client hints', async () => {
+    const env = createTestEnv(fake);
+    const { body } = await getDownload(env, '&w=600&h=400&dpr=1&fm=jpg', { 'Sec-CH-Viewport-Width': '1366', 'Sec-CH-DPR': '2', 'Accept': 'image/avif' });
+
+    assert.deepEqual(resizeParams(body.imageUrl), { w: '600', h: '400', dpr: '1', fm: 'jpg' });
+});
+
+test('srcset=true lists width candidates up to the photo width and suggests sizes', async () => {
+    const env = createTestEnv(fake);
+
+    const { body } = await getDownload(env, '&srcset=true&w=800&h=400');
+    const candidates = body.srcset.split(', ').map(candidate => candidate.split(' '));
+    assert.deepEqual(candidates.map(([, descriptor]) => descriptor), ['320w', '640w', '960w', '1280w', '1920w', '2560w']);
+    assert.deepEqual(resizeParams(candidates[1][0]), { w: '640', h: '320', auto: 'format' });
+    assert.equal(body.sizes, '(max-width: 800px) 100vw, 800px');
+
+    const full = await request(env, '/random?srcset=true');
+    assert.equal((await full.response.json()).sizes, '100vw');
+
+    const { response } = await request(env, '/random?srcset=true&format=redirect');
+    assert.equal(response.status, 400);
+});
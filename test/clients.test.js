@@ -0,0 +1,123 @@
+// Client API keys: issuing them, their quotas and the caches of their custom collections
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash, readError } from './helpers.js';
+
+const ADMIN = { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' };
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.accessKeys.length = 0;
+});
+
+// Environment with the admin API and a secret for private Unsplash keys
+function createClientEnv(vars = {}) {
+    return createTestEnv(fake, { ADMIN_TOKEN: 'test-admin-token', CLIENT_KEY_SECRET: 'test-client-secret', ...vars });
+}
+
+// Issue a client key through the admin API - returns { clientKey, client }
+async function issueClient(env, settings) {
+    const { response } = await request(env, '/admin/clients', { method: 'POST', headers: ADMIN, body: JSON.stringify(settings) });
+    assert.equal(response.status, 201);
+    return response.json();
+}
+
+// Request with a client key
+function asClient(clientKey) {
+    return { headers: { 'X-API-Key': clientKey } };
+}
+
+test('issues keys that KV only knows by hash, with the private Unsplash key encrypted', async () => {
+    const env = createClientEnv();
+    const { clientKey, client } = await issueClient(env, { name: 'Gallery', collections: ['123'], unsplashKey: 'private-key' });
+    assert.match(clientKey, /^uwk_[0-9a-f]{48}$/);
+    assert.equal(client.hasUnsplashKey, true);
+    assert.equal(client.unsplashKey, undefined);
+
+    const { keys } = await env.STORAGE.list({ prefix: 'CLIENT_' });
+    assert.equal(keys.length, 1);
+    assert.ok(keys[0].startsWith(`CLIENT_${client.id}`));
+    const stored = JSON.stringify(await env.STORAGE.get(keys[0]));
+    assert.ok(!stored.includes('private-key'));
+    assert.ok(!stored.includes(clientKey));
+
+    // The client's collection is fetched with its private key
+    const { response } = await request(env, '/random?collections=123', asClient(clientKey));
+    assert.equal(response.status, 200);
+    assert.ok(fake.accessKeys.length > 0);
+    assert.ok(fake.accessKeys.every(key => key === 'private-key'));
+
+    const forbidden = await request(env, '/random?collections=456', asClient(clientKey));
+    assert.equal(forbidden.response.status, 403);
+    const unknown = await request(env, '/random', asClient(`uwk_${'0'.repeat(48)}`));
+    assert.equal(unknown.response.status, 401);
+});
+
+test('refuses private Unsplash keys without a secret to encrypt them', async () => {
+    const env = createClientEnv({ CLIENT_KEY_SECRET: '' });
+
+    const { response } = await request(env, '/admin/clients', { method: 'POST', headers: ADMIN, body: JSON.stringify({ unsplashKey: 'private-key' }) });
+    assert.equal(response.status, 400);
+    assert.equal((await readError(response)).parameter, 'unsplashKey');
+    assert.equal((await env.STORAGE.list({ prefix: 'CLIENT_' })).keys.length, 0);
+});
+
+test('counts client quotas per calendar minute and per UTC day', async (t) => {
+    const env = createClientEnv();
+    const { clientKey } = await issueClient(env, { perMinute: 2, perDay: 3 });
+    const start = Date.parse('2026-10-19T12:00:00Z');
+    let secondsLater = 0;
+    t.mock.method(Date, 'now', () => start + secondsLater * 1000);
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await request(env, '/random', asClient(clientKey))).response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+
+    // The next minute has room again, until the day's quota is used up
+    secondsLater = 60;
+    assert.equal((await request(env, '/random', asClient(clientKey))).response.status, 200);
+    const { response } = await request(env, '/random', asClient(clientKey));
+    assert.equal(response.status, 429);
+    assert.match((await readError(response)).message, /^Daily quota of 3 requests exceeded/);
+    assert.equal(response.headers.get('Retry-After'), String(12 * 3600 - 60));
+
+    secondsLater = 12 * 3600;
+    assert.equal((await request(env, '/random', asClient(clientKey))).response.status, 200);
+});
+
+test('keeps the custom collection caches of every client apart', async () => {
+    const env = createClientEnv({ CACHE_CAPACITY: '2', SHARED_CACHE_COLLECTIONS: '777' });
+    const first = await issueClient(env, { collections: ['123'] });
+    const second = await issueClient(env, { collections: ['*'] });
+
+    await request(env, '/random?collections=123', asClient(first.clientKey));
+    await request(env, '/random?collections=123', asClient(second.clientKey));
+    await request(env, '/random?collections=777');
+
+    const keys = Object.keys(await getCacheStatus(env)).sort();
+    assert.deepEqual(keys, [
+        `collectionIds=123_orientation=landscape_tenant=${first.client.id}`,
+        `collectionIds=123_orientation=landscape_tenant=${second.client.id}`,
+        'collectionIds=777_orientation=landscape'
+    ].sort());
+
+    // Deleting a client takes its key away
+    const deleted = await request(env, `/admin/clients/${first.client.id}`, { method: 'DELETE', headers: ADMIN });
+    assert.equal(deleted.response.status, 200);
+    const { response } = await request(env, '/random?collections=123', asClient(first.clientKey));
+    assert.equal(response.status, 401);
+});
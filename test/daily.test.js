@@ -0,0 +1,131 @@
+// /daily and /daily/history
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash, readError } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.photoCount = 0;
+});
+
+// Set the clock to a moment given as an ISO string
+function setClock(t, iso) {
+    const clock = { now: Date.parse(iso) };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+// Photo ID and date of a /daily response
+async function getDaily(env, query = '') {
+    const { response } = await request(env, `/daily${query}`);
+    assert.equal(response.status, 200);
+    return { id: (await response.json()).id, date: response.headers.get('X-Daily-Date') };
+}
+
+test('serves the same photo all day and stores the pick for good', async (t) => {
+    const env = createTestEnv(fake);
+    const clock = setClock(t, '2026-10-19T08:00:00Z');
+
+    const first = await getDaily(env);
+    assert.deepEqual(first, { id: 'photo-1', date: '2026-10-19' });
+
+    clock.now = Date.parse('2026-10-19T23:00:00Z');
+    assert.deepEqual(await getDaily(env), first);
+    assert.equal(fake.requestsTo('/photos/random').length, 1);
+
+    const stored = await env.STORAGE.get('DAILY_orientation=landscape_2026-10-19');
+    assert.equal(stored.imageData.id, 'photo-1');
+
+    // A new day brings a new photo
+    clock.now = Date.parse('2026-10-20T00:30:00Z');
+    assert.deepEqual(await getDaily(env), { id: 'photo-2', date: '2026-10-20' });
+});
+
+test('concurrent first requests of a day agree on one photo', async () => {
+    const env = createTestEnv(fake);
+
+    const picks = await Promise.all([getDaily(env), getDaily(env), getDaily(env)]);
+    assert.equal(new Set(picks.map(pick => pick.id)).size, 1);
+});
+
+test('the time zone decides the date, and every time zone shares the pick of a date', async (t) => {
+    const env = createTestEnv(fake);
+    setClock(t, '2026-10-19T20:00:00Z');
+
+    const tokyo = await getDaily(env, '?tz=Asia/Tokyo');
+    assert.equal(tokyo.date, '2026-10-20');
+
+    const newYork = await getDaily(env, '?tz=America/New_York');
+    assert.equal(newYork.date, '2026-10-19');
+    assert.notEqual(newYork.id, tokyo.id);
+
+    assert.deepEqual(await getDaily(env, '?tz=UTC'), newYork);
+});
+
+test('filters get their own pick and output options apply', async () => {
+    const env = createTestEnv(fake);
+
+    const plain = await getDaily(env);
+    const portrait = await getDaily(env, '?orientation=portrait');
+    assert.notEqual(plain.id, portrait.id);
+    assert.equal(fake.requestsTo('/photos/random')[1].searchParams.get('orientation'), 'portrait');
+
+    const { response } = await request(env, '/daily?orientation=portrait&format=redirect&w=800&h=600');
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get('Location'), new RegExp(`/${portrait.id}\\?.*w=800&h=600`));
+});
+
+test('history lists the picks between two dates', async (t) => {
+    const env = createTestEnv(fake);
+    const clock = setClock(t, '2026-10-17T12:00:00Z');
+
+    for (const date of ['2026-10-17', '2026-10-18', '2026-10-19']) {
+        clock.now = Date.parse(`${date}T12:00:00Z`);
+        await getDaily(env);
+    }
+    await getDaily(env, '?query=sea'); // Another cache key starting with the same prefix
+
+    const { response } = await request(env, '/daily/history?from=2026-10-18&to=2026-10-31');
+    assert.equal(response.status, 200);
+    const history = await response.json();
+    assert.equal(history.from, '2026-10-18');
+    assert.deepEqual(history.days.map(day => [day.date, day.photoId]), [['2026-10-18', 'photo-2'], ['2026-10-19', 'photo-3']]);
+    assert.match(history.days[0].artistName, /^Photographer/);
+
+    // The last 30 days by default
+    const recent = await (await request(env, '/daily/history')).response.json();
+    assert.equal(recent.from, '2026-09-20');
+    assert.equal(recent.days.length, 3);
+});
+
+test('rejects unknown time zones, bad dates and private collections', async () => {
+    const env = createTestEnv(fake, { SHARED_CACHE_COLLECTIONS: '317099' });
+    const cases = [
+        ['/daily?tz=Mars/Olympus_Mons', /Unknown time zone/],
+        ['/daily?collections=123', /SHARED_CACHE_COLLECTIONS/],
+        ['/daily?query=cats&topics=nature', /query parameter/],
+        ['/daily/history?from=2026-02-30', /YYYY-MM-DD/],
+        ['/daily/history?from=2026-10-20&to=2026-10-19', /from must not be later/],
+        ['/daily/history?from=2024-01-01&to=2026-01-01', /at most 366 days/]
+    ];
+
+    for (const [path, message] of cases) {
+        const { response } = await request(env, path);
+        assert.equal(response.status, 400, path);
+        assert.match((await readError(response)).message, message, path);
+    }
+
+    assert.equal((await request(env, '/daily?collections=317099')).response.status, 200);
+});
@@ -0,0 +1,78 @@
+// Deck mode: dealing every photo of a collection once before reshuffling
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, runScheduled, getCacheStatus, startFakeUnsplash } from './helpers.js';
+
+const COLLECTION = '/collections/42/photos';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.collectionSize = 80;
+});
+
+// Deal count photos - returns their IDs
+async function deal(env, count) {
+    const { response } = await request(env, `/random?collections=42&mode=deck&count=${count}&dl=true`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.count, count);
+    return body.images.map(image => image.photoId);
+}
+
+test('lists the collection once and deals every photo once before reshuffling', async () => {
+    const env = createTestEnv(fake, { SHARED_CACHE_COLLECTIONS: '42' });
+
+    const dealt = [];
+    for (let call = 0; call < 3; call++) {
+        const ids = await deal(env, 30);
+        // The third deal runs past the end of the deck and still has no repeats
+        assert.equal(new Set(ids).size, 30);
+        dealt.push(...ids);
+    }
+
+    // Pages of 30 until the short third page
+    assert.deepEqual(fake.requestsTo(COLLECTION).map(url => url.searchParams.get('page')), ['1', '2', '3']);
+
+    const firstRound = dealt.slice(0, 80);
+    assert.equal(new Set(firstRound).size, 80);
+    assert.ok(firstRound.every(id => /^photo-420(0[1-9]|[1-7]\d|80)$/.test(id)));
+
+    // The second round deals the photos of the third deal first
+    const secondRound = [...dealt.slice(80), ...await deal(env, 30), ...await deal(env, 30), ...await deal(env, 10)];
+    assert.equal(new Set(secondRound).size, 80);
+    assert.equal(fake.requestsTo(COLLECTION).length, 3);
+});
+
+test('rebuilds stale decks from the cron within the default request budget', async (t) => {
+    const env = createTestEnv(fake, { SHARED_CACHE_COLLECTIONS: '42' });
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    await deal(env, 1);
+    fake.requests.length = 0;
+
+    // Not stale yet
+    await runScheduled(env);
+    assert.equal(fake.requestsTo(COLLECTION).length, 0);
+
+    // The photos added since show up after the rebuild
+    fake.collectionSize = 90;
+    t.mock.method(Date, 'now', () => start + 25 * 3600000);
+    assert.deepEqual(await runScheduled(env), []);
+    assert.equal(fake.requestsTo(COLLECTION).length, 4);
+
+    const [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.deck.size, 90);
+    assert.equal(status.deck.round, 1);
+});
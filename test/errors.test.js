@@ -0,0 +1,159 @@
+// JSON error envelope, error codes and request IDs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash, readError } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+test('answers unknown routes with the envelope and every response with a request ID', async () => {
+    const env = createTestEnv(fake);
+
+    const { response } = await request(env, '/nowhere');
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.match(response.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+    assert.deepEqual(await readError(response), { code: 'not_found', message: 'Unknown endpoint: /nowhere', parameter: null, retryAfter: null });
+
+    const ok = await request(env, '/random?dl=true');
+    assert.equal(ok.response.status, 200);
+    assert.match(ok.response.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+    assert.notEqual(ok.response.headers.get('X-Request-Id'), response.headers.get('X-Request-Id'));
+
+    // A request ID sent by the caller is kept, one that doesn't look like an ID is replaced
+    const traced = await request(env, '/random?dl=true', { headers: { 'X-Request-Id': 'edge-42.a' } });
+    assert.equal(traced.response.headers.get('X-Request-Id'), 'edge-42.a');
+    const odd = await request(env, '/random?dl=true', { headers: { 'X-Request-Id': 'not an id' } });
+    assert.notEqual(odd.response.headers.get('X-Request-Id'), 'not an id');
+});
+
+test('names the offending parameter of validation errors', async () => {
+    const env = createTestEnv(fake);
+
+    const { response } = await request(env, '/random?q=abc');
+    assert.equal(response.status, 400);
+    assert.deepEqual(await readError(response), {
+        code: 'invalid_parameter',
+        message: 'Invalid q "abc". Must be an integer between 1 and 100.',
+        parameter: 'q',
+        retryAfter: null
+    });
+
+    const photo = await request(env, '/photos/bad%20id');
+    assert.equal((await readError(photo.response)).parameter, 'id');
+});
+
+test('answers malformed escapes in admin paths with a validation error', async () => {
+    const env = createTestEnv(fake, { ADMIN_TOKEN: 'test-admin-token' });
+
+    const { response } = await request(env, '/admin/cache/%E0', { headers: { Authorization: 'Bearer test-admin-token' } });
+    assert.equal(response.status, 400);
+    const error = await readError(response);
+    assert.equal(error.code, 'invalid_parameter');
+    assert.equal(error.message, 'Invalid percent-encoding in path segment "%E0".');
+});
+
+test('answers admin actions on unknown cache keys with 404 without creating them', async () => {
+    const env = createTestEnv(fake, { ADMIN_TOKEN: 'test-admin-token' });
+    const admin = { method: 'POST', headers: { Authorization: 'Bearer test-admin-token' } };
+
+    for (const action of ['flush', 'refill']) {
+        const { response } = await request(env, `/admin/keys/doesnotexist/${action}`, admin);
+        assert.equal(response.status, 404, action);
+        assert.deepEqual(await readError(response), { code: 'not_found', message: 'Unknown cache key: doesnotexist', parameter: null, retryAfter: null });
+    }
+
+    const keys = await (await request(env, '/admin/keys', { headers: admin.headers })).response.json();
+    assert.deepEqual(keys.keys, []);
+    assert.equal(await env.STORAGE.get('META_doesnotexist'), null);
+});
+
+test('reports rate limits with a retry hint', async () => {
+    const env = createTestEnv(fake, { RATE_LIMIT_IP_PER_MINUTE: '1' });
+
+    await request(env, '/random');
+    const { response } = await request(env, '/random');
+    assert.equal(response.status, 429);
+    const error = await readError(response);
+    assert.equal(error.code, 'rate_limited');
+    assert.ok(error.retryAfter > 0);
+    assert.equal(response.headers.get('Retry-After'), String(error.retryAfter));
+});
+
+test('lets browsers read /cache-status and hides internal errors from them', async (t) => {
+    const env = createTestEnv(fake);
+
+    const ok = await request(env, '/cache-status');
+    assert.equal(ok.response.status, 200);
+    assert.equal(ok.response.headers.get('Access-Control-Allow-Origin'), '*');
+
+    env.STORAGE.list = async () => { throw new Error('KV unavailable'); };
+    const logged = t.mock.method(console, 'error', () => {});
+
+    const { response } = await request(env, '/cache-status');
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.deepEqual(await readError(response), { code: 'internal_error', message: 'Internal server error.', parameter: null, retryAfter: null });
+
+    // The details are logged with the request ID
+    const requestId = response.headers.get('X-Request-Id');
+    const lines = logged.mock.calls.map(call => String(call.arguments[0]));
+    assert.ok(lines.some(line => line.startsWith(`Internal error for request ${requestId}: Error: KV unavailable`)), lines.join('\n'));
+});
+
+test('keeps the circuit breaker closed when Unsplash rejects a request', async () => {
+    const env = createTestEnv(fake);
+    fake.failWhen = url => url.searchParams.get('username') === 'nobody' && 404;
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const { response } = await request(env, '/random?nocache=true&username=nobody');
+        assert.equal(response.status, 502);
+        assert.equal((await readError(response)).code, 'upstream_error');
+    }
+
+    const { response } = await request(env, '/random?nocache=true');
+    assert.equal(response.status, 200);
+    fake.failWhen = null;
+});
+
+test('keeps the circuit breaker closed when a user\'s own API key fails', async () => {
+    const env = createTestEnv(fake);
+    fake.exhaustedKeys.set('user-key', 500);
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const { response } = await request(env, '/random?nocache=true&apiKey=user-key');
+        assert.equal(response.status, 502);
+        assert.equal((await readError(response)).code, 'upstream_error');
+    }
+
+    const { response } = await request(env, '/random?nocache=true');
+    assert.equal(response.status, 200);
+    fake.exhaustedKeys.delete('user-key');
+});
+
+// Last test: failing Unsplash calls open the circuit breaker of this process
+test('tells upstream failures and an open circuit breaker apart', async () => {
+    const env = createTestEnv(fake);
+    fake.failWhen = () => true;
+
+    const codes = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const { response } = await request(env, '/random?nocache=true&orientation=portrait');
+        codes.push(`${response.status} ${(await readError(response)).code}`);
+    }
+    assert.deepEqual(codes.slice(0, 3), ['502 upstream_error', '502 upstream_error', '502 upstream_error']);
+    assert.equal(codes[3], '503 circuit_open');
+
+    const { response } = await request(env, '/random?nocache=true&orientation=portrait');
+    assert.ok((await readError(response)).retryAfter > 0);
+    assert.ok(Number(response.headers.get('Retry-After')) > 0);
+});
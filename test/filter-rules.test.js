@@ -0,0 +1,47 @@
+// Filter rules applied to the images of every provider
+// The rules are cached per process, so every test here uses the same FILTER_RULES.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash, readError } from './helpers.js';
+
+// photo-1, and photo-101 with the 30 photos after it
+const BLOCKED = ['photo-1', ...Array.from({ length: 31 }, (_, index) => `photo-${101 + index}`)];
+const FILTER_RULES = JSON.stringify({ blockedPhotoIds: BLOCKED });
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.photoCount = 0;
+});
+
+test('replaces a rejected image with one batch call', async () => {
+    const env = createTestEnv(fake, { FILTER_RULES, CACHE_CAPACITY: '5' });
+
+    const { response } = await request(env, '/random?nocache=true&dl=true');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).photoId, 'photo-2');
+
+    assert.equal(fake.requestsTo('/photos/random', url => !url.searchParams.has('count')).length, 1);
+    assert.equal(fake.requestsTo('/photos/random', url => url.searchParams.get('count') === '30').length, 1);
+});
+
+test('gives up when the batch has no match either', async () => {
+    const env = createTestEnv(fake, { FILTER_RULES, CACHE_CAPACITY: '5' });
+    fake.photoCount = 100;
+
+    const { response } = await request(env, '/random?nocache=true&dl=true');
+    assert.equal(response.status, 404);
+    assert.equal((await readError(response)).code, 'not_found');
+    assert.equal(fake.requestsTo('/photos/random', url => url.searchParams.get('count') === '30').length, 1);
+});
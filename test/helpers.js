@@ -0,0 +1,345 @@
+// Test Helpers
+// -----------------------------------------------------------
+// Runs the worker in Node without Cloudflare: storage is a MemoryStorage, Durable Objects are
+// plain instances of their classes with in-memory storage, and Unsplash is a local HTTP server
+// serving generated photos.
+
+import http from 'node:http';
+import assert from 'node:assert/strict';
+
+import worker, { CacheCoordinator, MetricsAggregator, ClientQuota, RateLimiter } from '../src/index.js';
+import { MemoryStorage } from '../src/storage.js';
+import { createUnsplashClient } from '../src/unsplash.js';
+
+// Durable Object storage held in memory - the part of the API the objects use
+export class MemoryObjectStorage {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(keys) {
+        if (Array.isArray(keys)) {
+            return new Map(keys.filter(key => this.values.has(key)).map(key => [key, structuredClone(this.values.get(key))]));
+        }
+        return structuredClone(this.values.get(keys));
+    }
+
+    async put(entries, value) {
+        if (typeof entries === 'string') {
+            entries = { [entries]: value };
+        }
+        for (const [key, entryValue] of Object.entries(entries)) {
+            this.values.set(key, structuredClone(entryValue));
+        }
+    }
+
+    async delete(keys) {
+        for (const key of [].concat(keys)) {
+            this.values.delete(key);
+        }
+    }
+
+    async deleteAll() {
+        this.values.clear();
+    }
+
+    async list({ prefix = '' } = {}) {
+        const entries = [...this.values].filter(([key]) => key.startsWith(prefix)).sort(([a], [b]) => a.localeCompare(b));
+        return new Map(entries.map(([key, value]) => [key, structuredClone(value)]));
+    }
+}
+
+// Durable Object namespace - one instance of the class per name, created on first use
+function createNamespace(ObjectClass, env) {
+    const instances = new Map();
+
+    return {
+        instances,
+        idFromName: (name) => name,
+        get(id) {
+            return {
+                fetch: async (url, init) => {
+                    if (!instances.has(id)) {
+                        instances.set(id, new ObjectClass({ storage: new MemoryObjectStorage() }, env));
+                    }
+                    return instances.get(id).fetch(new Request(url, init));
+                }
+            };
+        }
+    };
+}
+
+// Worker environment talking to a fake Unsplash server - vars are added as environment variables
+export function createTestEnv(unsplash, vars = {}) {
+    const env = {
+        STORAGE: new MemoryStorage(),
+        UNSPLASH_CLIENT: createUnsplashClient({ baseUrl: unsplash.url }),
+        ACCESS_KEY: 'test-access-key',
+        RATE_LIMIT_IP_PER_MINUTE: '0',
+        ...vars
+    };
+
+    env.CACHE_COORDINATOR = createNamespace(CacheCoordinator, env);
+    env.METRICS_AGGREGATOR = createNamespace(MetricsAggregator, env);
+    env.CLIENT_QUOTA = createNamespace(ClientQuota, env);
+    env.RATE_LIMITER = createNamespace(RateLimiter, env);
+    return env;
+}
+
+// Send a request to the worker and wait for its background work (ctx.waitUntil) to finish.
+// Returns the response together with the errors thrown by the background work.
+export async function request(env, path, init = {}) {
+    const { ctx, settle } = createContext();
+    const response = await worker.fetch(new Request(`https://worker.test${path}`, init), env, ctx);
+    return { response, errors: await settle() };
+}
+
+// Run the cron trigger (pre-warm and idle key collection) and wait for it to finish.
+// Returns the errors thrown by its background work.
+export async function runScheduled(env) {
+    const { ctx, settle } = createContext();
+    await worker.scheduled({ cron: '*/30 * * * *', scheduledTime: Date.now() }, env, ctx);
+    return settle();
+}
+
+// Execution context collecting background work - settle() waits for it and returns its errors
+function createContext() {
+    const pending = [];
+    const errors = [];
+    const ctx = {
+        waitUntil(promise) {
+            pending.push(Promise.resolve(promise).catch(error => errors.push(error)));
+        }
+    };
+
+    const settle = async () => {
+        // Background work may schedule more background work
+        while (pending.length > 0) {
+            await pending.shift();
+        }
+        return errors;
+    };
+
+    return { ctx, settle };
+}
+
+// Workers Cache API in memory
+export class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const entry = this.entries.get(request.url);
+        return entry ? new Response(entry.body, { status: entry.status, headers: entry.headers }) : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(request.url, { body: await response.arrayBuffer(), status: response.status, headers: [...response.headers] });
+    }
+}
+
+// Read the error of a JSON error envelope
+export async function readError(response) {
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    return (await response.json()).error;
+}
+
+// Read the /cache-status report
+export async function getCacheStatus(env) {
+    const { response } = await request(env, '/cache-status');
+    return response.json();
+}
+
+// Fake Unsplash Server
+// -----------------------------------------------------------
+
+// Unsplash photo object as the API returns it
+export function createPhoto(number) {
+    const id = `photo-${number}`;
+    return {
+        id,
+        width: 4000,
+        height: 3000,
+        description: `Test photo ${number}`,
+        alt_description: `A test scene number ${number}`,
+        blur_hash: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj',
+        color: '#0c2640',
+        created_at: '2026-01-02T03:04:05Z',
+        urls: {
+            raw: `https://images.unsplash.com/${id}?ixid=test`,
+            full: `https://images.unsplash.com/${id}?ixid=test&q=85`,
+            regular: `https://images.unsplash.com/${id}?ixid=test&w=1080`,
+            small: `https://images.unsplash.com/${id}?ixid=test&w=400`,
+            thumb: `https://images.unsplash.com/${id}?ixid=test&w=200`
+        },
+        links: {
+            html: `https://unsplash.com/photos/${id}`,
+            download_location: `https://api.unsplash.com/photos/${id}/download`
+        },
+        user: {
+            name: `Photographer ${number}`,
+            username: `photographer${number}`,
+            links: { html: `https://unsplash.com/@photographer${number}` }
+        }
+    };
+}
+
+// Start a fake Unsplash API on a free local port. Every photo it hands out is new.
+// Set failWhen to a function of the request URL to answer matching requests with a 500, or with the
+// status it returns. Keys added to exhaustedKeys (key => 403 or 429) are answered as out of quota.
+// Every collection holds collectionSize photos: collection 42 lists photo-42001 to photo-42080 by default.
+export async function startFakeUnsplash() {
+    const fake = {
+        url: null,
+        requests: [], // URL of every request, in order
+        accessKeys: [], // Access key of every request, in order
+        exhaustedKeys: new Map(),
+        failWhen: null,
+        photoCount: 0,
+        collectionSize: 80
+    };
+
+    const nextPhoto = () => createPhoto(++fake.photoCount);
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, fake.url);
+        fake.requests.push(url);
+        const accessKey = (req.headers.authorization || '').replace(/^Client-ID /, '');
+        fake.accessKeys.push(accessKey);
+
+        const send = (status, body, remaining = '4999') => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'X-Ratelimit-Limit': '5000',
+                'X-Ratelimit-Remaining': remaining
+            });
+            res.end(JSON.stringify(body));
+        };
+
+        if (fake.exhaustedKeys.has(accessKey)) {
+            return send(fake.exhaustedKeys.get(accessKey), { errors: ['Rate Limit Exceeded'] }, '0');
+        }
+
+        const failure = fake.failWhen && fake.failWhen(url);
+        if (failure) {
+            return send(failure === true ? 500 : failure, { errors: ['Request failed'] });
+        }
+
+        if (url.pathname === '/photos/random') {
+            const count = url.searchParams.get('count');
+            return send(200, count ? Array.from({ length: Number(count) }, nextPhoto) : nextPhoto());
+        }
+
+        if (url.pathname === '/search/photos') {
+            const results = Array.from({ length: Number(url.searchParams.get('per_page')) }, nextPhoto);
+            return send(200, { total: 1000, total_pages: 100, results });
+        }
+
+        // Image host: the sized images of the photos (images.unsplash.com)
+        const image = url.pathname.match(/^\/(photo-\d+)$/);
+        if (image) {
+            const format = url.searchParams.get('fm') || 'jpeg';
+            res.writeHead(200, { 'Content-Type': `image/${format}`, 'ETag': `"${image[1]}-${url.searchParams.get('w')}-${format}"` });
+            return res.end(`${image[1]} ${url.search}`);
+        }
+
+        const collection = url.pathname.match(/^\/collections\/(\d+)\/photos$/);
+        if (collection) {
+            const perPage = Number(url.searchParams.get('per_page'));
+            const first = (Number(url.searchParams.get('page')) - 1) * perPage + 1;
+            const last = Math.min(first + perPage - 1, fake.collectionSize);
+            return send(200, Array.from({ length: Math.max(0, last - first + 1) }, (_, index) => createPhoto(Number(collection[1]) * 1000 + first + index)));
+        }
+
+        const download = url.pathname.match(/^\/photos\/([^/]+)\/download$/);
+        if (download) {
+            return send(200, { url: `https://images.unsplash.com/${download[1]}` });
+        }
+
+        const photo = url.pathname.match(/^\/photos\/photo-(\d+)$/);
+        if (photo) {
+            return send(200, createPhoto(Number(photo[1])));
+        }
+
+        send(404, { errors: ['Not Found'] });
+    });
+
+    return listen(fake, server);
+}
+
+// Start a fake server on a free local port and add url, close() and requestsTo() to it
+async function listen(fake, server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fake.url = `http://127.0.0.1:${server.address().port}`;
+    fake.close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections(); // The worker's fetch keeps connections alive
+    });
+
+    // Requests for a path, e.g. bulk random calls: fake.requestsTo('/photos/random', url => url.searchParams.has('count'))
+    fake.requestsTo = (path, filter = () => true) => fake.requests.filter(url => url.pathname === path && filter(url));
+
+    return fake;
+}
+
+// Filter for bulk /photos/random calls (count=)
+export const isBulk = (url) => url.searchParams.has('count');
+
+// Fake Pexels Server
+// -----------------------------------------------------------
+
+// Pexels photo object as the API returns it
+export function createPexelsPhoto(number) {
+    const original = `https://images.pexels.com/photos/${number}/pexels-photo-${number}.jpeg`;
+    return {
+        id: number,
+        width: 6000,
+        height: 4000,
+        url: `https://www.pexels.com/photo/test-${number}/`,
+        photographer: `Pexels Photographer ${number}`,
+        photographer_url: `https://www.pexels.com/@photographer-${number}`,
+        avg_color: '#7a6b5c',
+        alt: `A Pexels test scene number ${number}`,
+        src: {
+            original,
+            large2x: `${original}?auto=compress&cs=tinysrgb&dpr=2&h=650&w=940`,
+            medium: `${original}?auto=compress&cs=tinysrgb&h=350`,
+            small: `${original}?auto=compress&cs=tinysrgb&h=130`
+        }
+    };
+}
+
+// Start a fake Pexels API answering curated and search calls with a page of new photos.
+// Set failWhen to a function of the request URL to answer matching requests with a 500.
+export async function startFakePexels() {
+    const fake = {
+        url: null,
+        requests: [],
+        failWhen: null,
+        photoCount: 0
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, fake.url);
+        fake.requests.push(url);
+
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (fake.failWhen && fake.failWhen(url)) {
+            return send(500, { error: 'Internal Server Error' });
+        }
+
+        if (url.pathname === '/v1/curated' || url.pathname === '/v1/search') {
+            const photos = Array.from({ length: Number(url.searchParams.get('per_page')) }, () => createPexelsPhoto(++fake.photoCount));
+            return send(200, { page: Number(url.searchParams.get('page')), photos });
+        }
+
+        send(404, { error: 'Not Found' });
+    });
+
+    return listen(fake, server);
+}
@@ -0,0 +1,124 @@
+// Image bytes (format=bytes) through the edge cache
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createImageProxy } from '../src/image-proxy.js';
+import { createTestEnv, request, startFakeUnsplash, readError, MemoryCache } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+});
+
+// Environment whose image host is the fake server
+function createImageEnv(cache = new MemoryCache()) {
+    return createTestEnv(fake, {
+        IMAGE_PROXY: createImageProxy({
+            fetch: url => fetch(url.replace('https://images.unsplash.com', fake.url)),
+            cache
+        })
+    });
+}
+
+test('streams the sized image with its credit in headers', async () => {
+    const env = createImageEnv();
+
+    const { response } = await request(env, '/random?format=bytes&w=800&fm=webp');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'image/webp');
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    assert.match(response.headers.get('ETag'), /^"photo-\d+-800-webp"$/);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.match(response.headers.get('Access-Control-Expose-Headers'), /X-Attribution/);
+
+    const id = response.headers.get('X-Photo-Id');
+    assert.ok(response.headers.get('X-Photographer'));
+    assert.equal(response.headers.get('X-Attribution'), `Photo by ${response.headers.get('X-Photographer')} on Unsplash`);
+    assert.match(await response.text(), new RegExp(`^${id} .*w=800`));
+});
+
+test('fetches each sized image once per edge cache', async (t) => {
+    const env = createImageEnv();
+    t.mock.method(Date, 'now', () => Date.parse('2026-10-19T22:00:00Z'));
+
+    const first = await request(env, '/daily?format=bytes&w=600');
+    const second = await request(env, '/daily?format=bytes&w=600');
+    assert.equal(first.response.headers.get('X-Image-Cache'), 'MISS');
+    assert.equal(second.response.headers.get('X-Image-Cache'), 'HIT');
+    assert.equal(await second.response.text(), await first.response.text());
+    assert.equal(second.response.headers.get('ETag'), first.response.headers.get('ETag'));
+    // Clients keep the image of the day until the day ends
+    assert.equal(first.response.headers.get('Cache-Control'), 'public, max-age=7200');
+    assert.equal(fake.requests.filter(url => /^\/photo-\d+$/.test(url.pathname)).length, 1);
+
+    // Another size is another image
+    const resized = await request(env, '/daily?format=bytes&w=300');
+    assert.equal(resized.response.headers.get('X-Image-Cache'), 'MISS');
+
+    // In another time zone the day ends at another time
+    const tokyo = await request(env, '/daily?format=bytes&w=300&tz=Asia/Tokyo');
+    assert.equal(tokyo.response.headers.get('Cache-Control'), 'public, max-age=61200');
+});
+
+test('answers requests for an image the client has with 304 Not Modified', async () => {
+    const env = createImageEnv();
+
+    const first = await request(env, '/daily?format=bytes&w=600');
+    const etag = first.response.headers.get('ETag');
+
+    const { response } = await request(env, '/daily?format=bytes&w=600', { headers: { 'If-None-Match': `"other", W/${etag}` } });
+    assert.equal(response.status, 304);
+    assert.equal(response.headers.get('ETag'), etag);
+    assert.equal(response.headers.get('X-Photo-Id'), first.response.headers.get('X-Photo-Id'));
+    assert.equal(await response.text(), '');
+
+    const changed = await request(env, '/daily?format=bytes&w=600', { headers: { 'If-None-Match': '"other"' } });
+    assert.equal(changed.response.status, 200);
+});
+
+test('credits self-hosted images without a source name', async () => {
+    const env = createTestEnv(fake, {
+        IMAGE_PROXY: createImageProxy({
+            fetch: async () => new Response('jpeg', { headers: { 'Content-Type': 'image/jpeg' } }),
+            cache: new MemoryCache()
+        })
+    });
+    await env.STORAGE.put('STATIC_MANIFEST', [{ id: 'harbour', url: 'https://photos.example.com/harbour.jpg', author: 'Jo Doe' }]);
+
+    const { response } = await request(env, '/random?provider=static&format=bytes');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Attribution'), 'Photo by Jo Doe');
+    assert.equal(response.headers.get('X-Photo-Provider'), null);
+});
+
+test('still tracks downloads with dl=true', async () => {
+    const env = createImageEnv();
+
+    const { response } = await request(env, '/random?format=bytes&dl=true');
+    assert.equal(response.status, 200);
+    assert.equal(fake.requestsTo(`/photos/${response.headers.get('X-Photo-Id')}/download`).length, 1);
+});
+
+test('answers failing image hosts and batches with the error envelope', async () => {
+    const env = createTestEnv(fake, {
+        IMAGE_PROXY: createImageProxy({ fetch: async () => new Response('gone', { status: 404 }), cache: new MemoryCache() })
+    });
+
+    const failed = await request(env, '/random?format=bytes');
+    assert.equal(failed.response.status, 502);
+    assert.equal((await readError(failed.response)).code, 'upstream_error');
+
+    const batch = await request(env, '/random?format=bytes&count=3');
+    assert.equal(batch.response.status, 400);
+    assert.equal((await readError(batch.response)).parameter, 'count');
+});
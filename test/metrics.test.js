@@ -0,0 +1,68 @@
+// Metrics: /stats, the Prometheus output of /metrics and the bounds of the aggregated counters
+// Counters are collected per process before they are flushed, so every test here has its own aggregator.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetricsAggregator } from '../src/metrics.js';
+import { createTestEnv, request, startFakeUnsplash, MemoryObjectStorage } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+test('counts requests by cache key and pattern in /stats and /metrics', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '2', METRICS_TOKEN: 'test-metrics-token' });
+    const authorized = { headers: { Authorization: 'Bearer test-metrics-token' } };
+
+    // Direct fetch on the cold start, then the main cache
+    for (let served = 0; served < 3; served++) {
+        await request(env, '/random');
+    }
+
+    assert.equal((await request(env, '/stats')).response.status, 401);
+    const stats = await (await request(env, '/stats', authorized)).response.json();
+    assert.deepEqual(stats.requests, { total: 3, byPattern: { direct: 1, main: 2 } });
+    assert.deepEqual(stats.topKeys, [{ cacheKey: 'orientation=landscape', requests: 3, byPattern: { direct: 1, main: 2 } }]);
+    assert.equal(stats.topPhotos.length, 3);
+
+    const { response } = await request(env, '/metrics', authorized);
+    assert.match(response.headers.get('Content-Type'), /^text\/plain; version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /^# TYPE unsplash_worker_requests_total counter$/m);
+    assert.match(text, /^unsplash_worker_requests_total\{cache_key="orientation=landscape",pattern="main"\} 2$/m);
+    assert.match(text, /^unsplash_worker_requests_total\{cache_key="orientation=landscape",pattern="direct"\} 1$/m);
+    assert.match(text, /^unsplash_worker_unsplash_calls_total\{operation="random",status="200"\} 1$/m);
+    assert.match(text, /^unsplash_worker_refills_total\{result="success"\} \d+$/m);
+});
+
+test('folds the counters of the least requested cache keys into other', async () => {
+    const aggregator = new MetricsAggregator({ storage: new MemoryObjectStorage() }, {});
+    const record = (delta) => aggregator.fetch(new Request('https://metrics/record', { method: 'POST', body: JSON.stringify(delta) }));
+    const snapshot = async () => (await aggregator.fetch(new Request('https://metrics/snapshot'))).json();
+
+    // Key i was requested i times
+    const requests = {};
+    for (let number = 1; number <= 600; number++) {
+        requests[`query=${number}`] = { main: number };
+    }
+    await record({ requests });
+
+    let counters = await snapshot();
+    assert.equal(Object.keys(counters.requests).length, 251);
+    assert.deepEqual(counters.requests['query=600'], { main: 600 });
+    assert.equal(counters.requests['query=350'], undefined);
+    assert.deepEqual(counters.requests.other, { main: 350 * 351 / 2 });
+
+    // Later deltas add to the kept keys and other without folding again
+    await record({ requests: { 'query=600': { buffer: 1 }, 'query=601': { direct: 1 } } });
+    counters = await snapshot();
+    assert.equal(Object.keys(counters.requests).length, 252);
+    assert.deepEqual(counters.requests['query=600'], { main: 600, buffer: 1 });
+});
@@ -0,0 +1,90 @@
+// Weighted mixes of cache sources (mix=) and their presets
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash, readError } from './helpers.js';
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+});
+
+test('picks a source by weight and serves it from its own cache', async (t) => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '2' });
+    const mix = encodeURIComponent('70:addPhotoOfTheDay=true|30:orientation=squarish;content_filter=high');
+
+    t.mock.method(Math, 'random', () => 0.5);
+    const first = await (await request(env, `/random?mix=${mix}&dl=true`)).response.json();
+    assert.deepEqual(first.mixSource, { source: 1, name: null, weight: 70, cacheKey: 'addPhotoOfTheDay=true_orientation=landscape' });
+
+    t.mock.method(Math, 'random', () => 0.9);
+    const { response } = await request(env, `/random?mix=${mix}&format=redirect`);
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('X-Mix-Source'), '2');
+
+    // Each source filled the cache of its filters - the mix itself has none
+    assert.deepEqual(Object.keys(await getCacheStatus(env)).sort(), [
+        'addPhotoOfTheDay=true_orientation=landscape',
+        'contentFilter=high_orientation=squarish'
+    ]);
+});
+
+test('serves named presets stored through the admin API', async (t) => {
+    const env = createTestEnv(fake, { ADMIN_TOKEN: 'test-admin-token' });
+    const preset = {
+        sources: [
+            { name: 'daily', weight: 7, filters: 'addPhotoOfTheDay=true' },
+            { name: 'square', weight: 3, filters: 'orientation=squarish' }
+        ]
+    };
+
+    const saved = await request(env, '/admin/mixes/background', { method: 'PUT', headers: ADMIN, body: JSON.stringify(preset) });
+    assert.equal(saved.response.status, 200);
+
+    t.mock.method(Math, 'random', () => 0.95);
+    const { response } = await request(env, '/random?mix=background');
+    assert.equal(response.headers.get('X-Mix-Source'), 'square');
+    assert.equal((await response.json()).mixSource.cacheKey, 'orientation=squarish');
+
+    const listed = await (await request(env, '/admin/mixes', { headers: ADMIN })).response.json();
+    assert.deepEqual(listed.mixes.map(mix => mix.name), ['background']);
+
+    assert.equal((await request(env, '/admin/mixes/background', { method: 'DELETE', headers: ADMIN })).response.status, 200);
+    assert.equal((await request(env, '/random?mix=background')).response.status, 400);
+});
+
+test('rejects invalid mixes before calling Unsplash', async () => {
+    const env = createTestEnv(fake, { ADMIN_TOKEN: 'test-admin-token' });
+    const cases = [
+        ['mix=nothing', /Unknown mix "nothing"/],
+        ['mix=70', /Unknown mix "70"/],
+        ['mix=0:orientation=portrait', /Invalid weight "0" of mix source 1/],
+        ['mix=1:orientation=portrait|1:orientation=sideways', /Mix source 2: Invalid orientation "sideways"/],
+        ['mix=1:count=3', /Mix source 1: The count parameter is not a filter/],
+        ['mix=1:addPhotoOfTheDay=true&orientation=portrait', /The mix parameter cannot be combined with the orientation parameter/],
+        // Every source is checked, not only the one a request happens to pick
+        ['mix=99:orientation=portrait|1:collections=317099', /authenticate with a client key/]
+    ];
+
+    for (const [query, message] of cases) {
+        const { response } = await request(env, `/random?${query}`);
+        assert.equal(response.status, 400, query);
+        assert.match((await readError(response)).message, message, query);
+    }
+
+    const invalid = await request(env, '/admin/mixes/broken', { method: 'PUT', headers: ADMIN, body: JSON.stringify({ sources: [] }) });
+    assert.equal(invalid.response.status, 400);
+    assert.equal(fake.requests.length, 0);
+});
@@ -0,0 +1,103 @@
+// Parameter registry: strict validation, the cache key and /openapi.json
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash, readError } from './helpers.js';
+import { parseParams, RANDOM_PARAMETERS, SEARCH_PARAMETERS } from '../src/params.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+// Parse a query string with the /random definitions
+function parseRandom(query) {
+    return parseParams(new URL(`https://example.com/random${query}`), RANDOM_PARAMETERS);
+}
+
+test('parses typed values and fills in defaults', () => {
+    const { params } = parseRandom('?w=800&dpr=1.5&dl=true&collections=b,a,b&username=@jo_doe');
+
+    assert.equal(params.width, 800);
+    assert.equal(params.height, null);
+    assert.equal(params.dpr, 1.5);
+    assert.equal(params.download, true);
+    assert.equal(params.collectionIds, 'b,a');
+    assert.equal(params.username, 'jo_doe');
+    assert.equal(params.orientation, 'landscape');
+    assert.equal(params.outputFormat, 'json');
+    assert.equal(params.addPhotoOfTheDay, false);
+
+    assert.equal(parseRandom('?query=Red%20Cars!').params.query, 'red cars');
+});
+
+test('names the bad parameter and what it accepts', () => {
+    const cases = [
+        ['?orientation=sideways', 'orientation', 'Invalid orientation "sideways". Supported values: landscape, portrait, squarish.'],
+        ['?q=abc', 'q', 'Invalid q "abc". Must be an integer between 1 and 100.'],
+        ['?w=1.5', 'w', 'Invalid w "1.5". Must be an integer between 1 and 8192.'],
+        ['?dl=yes', 'dl', 'Invalid dl "yes". Must be true or false.'],
+        ['?crop=top,middle', 'crop', 'Invalid crop "top,middle". Supported values: top, bottom, left, right, faces, focalpoint, edges, entropy (comma-separated).'],
+        ['?session=a%20b', 'session', 'Invalid session "a b". Session tokens only contain letters, digits, hyphens and underscores.'],
+        ['?count=31', 'count', 'Invalid count "31". Must be an integer between 1 and 30.'],
+        [`?collections=${Array.from({ length: 11 }, (_, index) => index + 1).join(',')}`, 'collections', 'The collections parameter takes at most 10 values.'],
+        [`?topics=${'a'.repeat(121)}`, 'topics', 'The topics parameter must be at most 120 characters long.']
+    ];
+
+    for (const [query, parameter, message] of cases) {
+        assert.deepEqual(parseRandom(query).error, { parameter, message }, query);
+    }
+
+    const missing = parseParams(new URL('https://example.com/search?query=%21%21'), SEARCH_PARAMETERS);
+    assert.deepEqual(missing.error, { parameter: 'query', message: 'The query parameter is required.' });
+});
+
+test('rejects invalid values with a 400 before calling Unsplash', async () => {
+    const env = createTestEnv(fake);
+
+    for (const path of ['/random?orientation=foo', '/random?fm=bmp', '/daily?tz=Mars/Olympus', '/search?query=cats&per_page=50', '/placeholder/photo-1?format=png']) {
+        const { response } = await request(env, path);
+        assert.equal(response.status, 400, path);
+        const error = await readError(response);
+        assert.equal(error.code, 'invalid_parameter', path);
+        assert.match(error.message, /^Invalid /, path);
+    }
+
+    assert.equal(fake.requests.length, 0);
+});
+
+test('builds the cache key from the key parameters only', async () => {
+    const env = createTestEnv(fake);
+
+    await request(env, '/random?query=Mountains&content_filter=high&w=800&dl=true');
+    assert.deepEqual(Object.keys(await getCacheStatus(env)), ['contentFilter=high_orientation=landscape_query=mountains']);
+});
+
+test('serves an OpenAPI document generated from the definitions', async () => {
+    const env = createTestEnv(fake);
+
+    const { response } = await request(env, '/openapi.json');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    const document = await response.json();
+
+    assert.equal(document.openapi, '3.1.0');
+    assert.deepEqual(Object.keys(document.paths), ['/random', '/daily', '/daily/history', '/search', '/photos/{id}', '/placeholder/{id}']);
+
+    const parameters = Object.fromEntries(document.paths['/random'].get.parameters.map(parameter => [parameter.name, parameter]));
+    assert.deepEqual(parameters.orientation.schema, { type: 'string', enum: ['landscape', 'portrait', 'squarish'], default: 'landscape' });
+    assert.deepEqual(parameters.q.schema, { type: 'integer', minimum: 1, maximum: 100 });
+    assert.deepEqual(parameters.collections.schema, { type: 'array', items: { type: 'string', pattern: '^[a-zA-Z0-9]+$' }, maxItems: 10 });
+    assert.equal(parameters.collections.explode, false);
+    assert.equal(parameters.apiKey.deprecated, true);
+    assert.match(parameters.mode.description, /Cannot be combined with topics, username\. Requires collections or addPhotoOfTheDay\.$/);
+
+    const search = document.paths['/search'].get.parameters.find(parameter => parameter.name === 'query');
+    assert.equal(search.required, true);
+});
@@ -0,0 +1,72 @@
+// Placeholder fields in responses and /placeholder/:photoId
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash } from './helpers.js';
+import { decodeBlurHash, buildPlaceholderSvg } from '../src/placeholder.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+test('simplified responses carry the placeholder and description fields', async () => {
+    const env = createTestEnv(fake);
+    const { response } = await request(env, '/random?dl=true');
+    const body = await response.json();
+
+    assert.equal(body.blurHash, 'LEHV6nWB2yk8pyo0adR*.7kCMdnj');
+    assert.equal(body.color, '#0c2640');
+    assert.equal(body.createdAt, '2026-01-02T03:04:05Z');
+    assert.equal(body.downloadLocation, `https://api.unsplash.com/photos/${body.photoId}/download`);
+    assert.match(body.description, /^Test photo/);
+    assert.match(body.altDescription, /^A test scene/);
+    assert.deepEqual([body.width, body.height], [4000, 3000]);
+});
+
+test('serves a blurred SVG placeholder and its data URI', async () => {
+    const env = createTestEnv(fake);
+
+    const { response } = await request(env, '/placeholder/photo-7');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'image/svg+xml');
+    const svg = await response.text();
+    assert.match(svg, /viewBox="0 0 8 6"/);
+    assert.equal(svg.match(/<rect /g).length, 48);
+    assert.ok(svg.length < 4096, `${svg.length} bytes is not tiny`);
+
+    const dataUri = await (await request(env, '/placeholder/photo-7?format=datauri')).response.text();
+    assert.equal(dataUri, `data:image/svg+xml,${encodeURIComponent(svg)}`);
+
+    // The photo is looked up once, then served from KV
+    assert.equal(fake.requestsTo('/photos/photo-7').length, 1);
+});
+
+test('rejects unknown photos, bad IDs and formats', async () => {
+    const env = createTestEnv(fake);
+
+    assert.equal((await request(env, '/placeholder/unknown')).response.status, 404);
+    assert.equal((await request(env, '/placeholder/bad%20id')).response.status, 400);
+    assert.equal((await request(env, '/placeholder/photo-1?format=png')).response.status, 400);
+});
+
+test('decodes a BlurHash into a grid of colors', () => {
+    const pixels = decodeBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMdnj', 4, 3);
+    assert.equal(pixels.length, 3);
+    assert.equal(pixels[0].length, 4);
+    assert.ok(pixels.flat(2).every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255));
+
+    assert.equal(decodeBlurHash('too short', 4, 3), null);
+    assert.equal(decodeBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMdn', 4, 3), null); // One character missing
+});
+
+test('falls back to the dominant color without a BlurHash', () => {
+    const svg = buildPlaceholderSvg({ width: 1000, height: 2000, blur_hash: null, color: '#a0b0c0' });
+    assert.equal(svg, '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 4 8" preserveAspectRatio="none"><rect width="4" height="8" fill="#a0b0c0"/></svg>');
+});
@@ -0,0 +1,156 @@
+// Image providers: Pexels, the static manifest, and falling back when Unsplash fails
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, runScheduled, getCacheStatus, startFakeUnsplash, startFakePexels, readError } from './helpers.js';
+import { createPexelsClient } from '../src/providers.js';
+
+const MANIFEST = {
+    name: 'Example Photos',
+    url: 'https://photos.example.com/',
+    resizeUrl: 'https://photos.example.com/cdn-cgi/image/{options}/{url}',
+    images: [
+        { id: 'harbour', url: 'https://photos.example.com/harbour.jpg', width: 3000, height: 2000, author: 'Jo Doe', tags: ['sea', 'boats'] },
+        { id: 'tower', url: 'https://photos.example.com/tower.jpg', width: 2000, height: 3000, tags: ['city'] },
+        { id: 'bad id', url: 'https://photos.example.com/skipped.jpg' }
+    ]
+};
+
+let unsplash;
+let pexels;
+
+before(async () => {
+    unsplash = await startFakeUnsplash();
+    pexels = await startFakePexels();
+});
+
+after(async () => {
+    await unsplash.close();
+    await pexels.close();
+});
+
+beforeEach(() => {
+    unsplash.requests.length = 0;
+    unsplash.failWhen = null;
+    pexels.requests.length = 0;
+    pexels.photoCount = 0;
+});
+
+// Test environment with the fake Pexels API and the example manifest in KV
+async function createProviderEnv(vars = {}) {
+    const env = createTestEnv(unsplash, {
+        PEXELS_API_KEY: 'test-pexels-key',
+        PEXELS_CLIENT: createPexelsClient({ baseUrl: pexels.url }),
+        ...vars
+    });
+    await env.STORAGE.put('STATIC_MANIFEST', MANIFEST);
+    return env;
+}
+
+test('provider=pexels serves Pexels photos through a cache of its own', async () => {
+    const env = await createProviderEnv({ CACHE_CAPACITY: '3' });
+
+    const { response } = await request(env, '/random?provider=pexels&dl=true&w=800&h=600');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.match(body.photoId, /^pexels-\d+$/);
+    assert.equal(body.provider, 'pexels');
+    assert.equal(body.providerName, 'Pexels');
+    assert.equal(body.unsplashUrl, undefined);
+    assert.match(body.artistName, /^Pexels Photographer/);
+    assert.match(body.imageUrl, /pexels-photo-\d+\.jpeg\?auto=compress&cs=tinysrgb&w=800&h=600&fit=crop$/);
+    assert.equal(unsplash.requests.length, 0);
+
+    const status = await getCacheStatus(env);
+    assert.equal(status['orientation=landscape_provider=pexels'].mainCache.images, 3);
+
+    const attribution = await (await request(env, '/random?provider=pexels&format=attribution')).response.text();
+    assert.match(attribution, /^Photo by \[Pexels Photographer \d+\]\(https:\/\/www\.pexels\.com\/@photographer-\d+\) on \[Pexels\]\(https:\/\/www\.pexels\.com\)\n$/);
+});
+
+test('provider=static picks from the manifest by orientation and query', async () => {
+    const env = await createProviderEnv();
+
+    const portrait = await (await request(env, '/random?provider=static&orientation=portrait&dl=true&w=600')).response.json();
+    assert.equal(portrait.photoId, 'static-tower');
+    assert.equal(portrait.imageUrl, 'https://photos.example.com/cdn-cgi/image/width=600,format=auto/https://photos.example.com/tower.jpg');
+    assert.equal(portrait.artistName, 'Example Photos');
+
+    const { response } = await request(env, '/random?provider=static&query=boats&format=html');
+    const html = await response.text();
+    assert.match(html, /harbour\.jpg/);
+    assert.match(html, /Photo by Jo Doe on <a href="https:\/\/photos\.example\.com\/">Example Photos<\/a>/);
+});
+
+test('rejects unknown, unconfigured and unsuitable providers', async () => {
+    const env = createTestEnv(unsplash);
+    const cases = [
+        ['/random?provider=flickr', /Invalid provider "flickr"/],
+        ['/random?fallback=pexels,flickr', /Invalid fallback "pexels,flickr"/],
+        ['/random?provider=pexels', /Pexels provider is not configured/],
+        ['/random?provider=static', /Static provider is not configured/],
+        ['/random?provider=pexels&collections=317099', /does not support the collections/]
+    ];
+
+    for (const [path, message] of cases) {
+        const { response } = await request(env, path);
+        assert.equal(response.status, 400, path);
+        assert.match((await readError(response)).message, message, path);
+    }
+
+    // Naming the default provider keeps the default cache key
+    await request(env, '/random?provider=Unsplash');
+    assert.deepEqual(Object.keys(await getCacheStatus(env)), ['orientation=landscape']);
+});
+
+test('PROVIDER_FALLBACK takes over when Unsplash has no access key', async () => {
+    const env = await createProviderEnv({ ACCESS_KEY: '', PROVIDER_FALLBACK: 'pexels, static' });
+
+    const body = await (await request(env, '/random?dl=true')).response.json();
+    assert.equal(body.provider, 'pexels');
+
+    // Pexels can't search by topic, so the static manifest is skipped too and the Unsplash error remains
+    const { response } = await request(env, '/random?topics=nature');
+    assert.equal(response.status, 500);
+    assert.deepEqual(await readError(response), { code: 'internal_error', message: 'Internal server error.', parameter: null, retryAfter: null });
+});
+
+test('keeps refilling caches a fallback serves without Unsplash quota', async () => {
+    const env = await createProviderEnv({ ACCESS_KEY: '', PROVIDER_FALLBACK: 'pexels', CACHE_CAPACITY: '2' });
+
+    await request(env, '/random');
+    const [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.mainCache.images, 2);
+    assert.equal(status.bufferCache.images, 2);
+    assert.equal(unsplash.requests.length, 0);
+});
+
+test('pre-warms caches a fallback serves without Unsplash quota', async () => {
+    const env = await createProviderEnv({ ACCESS_KEY: '', PROVIDER_FALLBACK: 'pexels', CACHE_CAPACITY: '6', PREWARM_THRESHOLD: '4' });
+    for (let served = 0; served < 4; served++) {
+        await request(env, '/random');
+    }
+    let [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.mainCache.images, 3);
+
+    await runScheduled(env);
+    [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.mainCache.images, 6);
+    assert.equal(status.bufferCache.images, 6);
+    assert.equal(unsplash.requests.length, 0);
+});
+
+// Last test: failing Unsplash calls open the circuit breaker of this process
+test('fallback= serves the next provider while Unsplash fails, with its own cache key', async () => {
+    const env = await createProviderEnv({ CACHE_CAPACITY: '2' });
+    unsplash.failWhen = () => true;
+
+    const { response } = await request(env, '/random?fallback=static&dl=true');
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).photoId, /^static-/);
+
+    const status = await getCacheStatus(env);
+    assert.equal(status['fallback=static_orientation=landscape'].mainCache.images, 1);
+});
@@ -0,0 +1,185 @@
+// /random and /cache-status flows against the fake Unsplash server
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash, isBulk, readError } from './helpers.js';
+
+// Cache key of a /random request without filters (orientation defaults to landscape)
+const DEFAULT_KEY = 'orientation=landscape';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.failWhen = null;
+    fake.photoCount = 0;
+});
+
+// Photo served by a /random request
+async function getRandomPhoto(env, query = '') {
+    const { response, errors } = await request(env, `/random${query}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(errors, []);
+    return response.json();
+}
+
+test('cold start serves a direct fetch and fills both caches in the background', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+
+    const photo = await getRandomPhoto(env);
+    assert.equal(photo.id, 'photo-1');
+
+    // One single call for the response, then a bulk call for the buffer, which is promoted,
+    // and a second bulk call for the new buffer
+    assert.deepEqual(fake.requests.map(url => url.searchParams.get('count')), [null, '3', '3']);
+
+    const status = await getCacheStatus(env);
+    assert.deepEqual(Object.keys(status), [DEFAULT_KEY]);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 3);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 3);
+    assert.equal(status[DEFAULT_KEY].capacity, 3);
+    assert.equal(status[DEFAULT_KEY].isRefilling, false);
+});
+
+test('serves the main cache without calling Unsplash and promotes the buffer when it runs out', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    await getRandomPhoto(env); // main: photos 2-4, buffer: photos 5-7
+    fake.requests.length = 0;
+
+    const served = [];
+    for (let i = 0; i < 3; i++) {
+        served.push((await getRandomPhoto(env)).id);
+        if (i < 2) assert.equal(fake.requests.length, 0);
+    }
+    assert.deepEqual(served.sort(), ['photo-2', 'photo-3', 'photo-4']);
+
+    // Emptying the main cache promoted the buffer and refilled it with one bulk call
+    assert.equal(fake.requestsTo('/photos/random', isBulk).length, 1);
+    const status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 3);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 3);
+
+    const next = await getRandomPhoto(env);
+    assert.ok(['photo-5', 'photo-6', 'photo-7'].includes(next.id), `${next.id} should come from the promoted buffer`);
+});
+
+test('serves the buffer when the main batch has expired, then promotes it', async (t) => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3', CACHE_MAX_IMAGE_AGE_HOURS: '3' });
+    const start = Date.now();
+    let hoursLater = 0;
+    t.mock.method(Date, 'now', () => start + hoursLater * 3600000);
+
+    await getRandomPhoto(env); // main: photos 2-4, buffer: photos 5-7
+
+    // Two hours later, drain the main cache: photos 5-7 are promoted and photos 8-10 fetched
+    hoursLater = 2;
+    for (let i = 0; i < 3; i++) {
+        await getRandomPhoto(env);
+    }
+
+    // The promoted batch is now 3.5 hours old, the buffer 1.5 hours
+    hoursLater = 3.5;
+    fake.requests.length = 0;
+
+    const photo = await getRandomPhoto(env);
+    assert.ok(['photo-8', 'photo-9', 'photo-10'].includes(photo.id), `${photo.id} should come from the buffer`);
+
+    const status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 2);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 3);
+    assert.equal(fake.requestsTo('/photos/random', isBulk).length, 1);
+});
+
+test('never repeats a photo for a session while it has unseen cached photos', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    const seen = [(await getRandomPhoto(env, '?session=alice')).id]; // main: photos 2-4, buffer: photos 5-7
+
+    // Emptying main refills the buffer with photos alice has seen, and so does emptying it again
+    for (let served = 0; served < 6; served++) {
+        if (served === 2) fake.photoCount = 0;
+        seen.push((await getRandomPhoto(env, '?session=alice')).id);
+    }
+    assert.deepEqual([...seen].sort(), ['photo-1', 'photo-2', 'photo-3', 'photo-4', 'photo-5', 'photo-6', 'photo-7']);
+    const status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 3); // photos 1-3
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 3); // photos 4-6
+
+    // Other sessions are still served from the cache
+    fake.requests.length = 0;
+    const other = await getRandomPhoto(env, '?session=bob');
+    assert.ok(['photo-1', 'photo-2', 'photo-3'].includes(other.id), `${other.id} should come from main`);
+    assert.equal(fake.requests.length, 0);
+
+    // Alice has seen every cached photo, so hers is fetched directly and the cache is left alone
+    const fresh = await getRandomPhoto(env, '?session=alice');
+    assert.equal(fresh.id, 'photo-7');
+    assert.deepEqual(fake.requests.map(url => url.searchParams.get('count')), [null]);
+    assert.equal((await getCacheStatus(env))[DEFAULT_KEY].bufferCache.images, 3);
+});
+
+test('keeps a separate cache per parameter combination', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '2' });
+
+    await getRandomPhoto(env, '?orientation=landscape&query=mountains');
+    await getRandomPhoto(env, '?query=mountains&orientation=landscape');
+    await getRandomPhoto(env, '?orientation=portrait&topics=nature');
+
+    const status = await getCacheStatus(env);
+    assert.deepEqual(Object.keys(status).sort(), ['orientation=landscape_query=mountains', 'orientation=portrait_topicIds=nature']);
+
+    // Filters are passed on to Unsplash
+    const bulk = fake.requestsTo('/photos/random', isBulk);
+    assert.equal(bulk[0].searchParams.get('orientation'), 'landscape');
+    assert.equal(bulk[0].searchParams.get('query'), 'mountains');
+});
+
+test('rejects parameter combinations that exclude each other without calling Unsplash', async () => {
+    const env = createTestEnv(fake);
+    const cases = [
+        ['?addPhotoOfTheDay=true&collections=123', /The addPhotoOfTheDay parameter cannot be combined with the collections parameter/],
+        ['?query=cats&collections=123', /The query parameter cannot be combined with the collections parameter/],
+        ['?query=cats&topics=nature', /The query parameter cannot be combined with the topics parameter/],
+        ['?query=cats&addPhotoOfTheDay=true', /The query parameter cannot be combined with the addPhotoOfTheDay parameter/],
+        ['?count=3&format=redirect', /The count parameter cannot be combined with format=redirect/],
+        ['?mode=deck&addPhotoOfTheDay=true&topics=nature', /The mode parameter cannot be combined with the topics parameter/],
+        ['?mode=deck', /The mode parameter requires the collections or addPhotoOfTheDay parameter/]
+    ];
+
+    for (const [query, message] of cases) {
+        const { response } = await request(env, `/random${query}`);
+        assert.equal(response.status, 400, query);
+        assert.match((await readError(response)).message, message, query);
+    }
+
+    assert.equal(fake.requests.length, 0);
+    assert.deepEqual(await getCacheStatus(env), {});
+});
+
+test('adds the referral parameters to every link back to Unsplash', async () => {
+    const env = createTestEnv(fake, { UNSPLASH_APP_NAME: 'test_app' });
+    const referral = /\?utm_source=test_app&utm_medium=referral$/;
+
+    const photo = await getRandomPhoto(env);
+    assert.match(photo.user.links.html, /^https:\/\/unsplash\.com\/@photographer\d+\?/);
+    assert.match(photo.user.links.html, referral);
+    assert.match(photo.links.html, referral);
+
+    const simple = await getRandomPhoto(env, '?dl=true');
+    for (const link of [simple.artistProfileUrl, simple.photoUrl, simple.unsplashUrl]) {
+        assert.match(link, referral);
+    }
+
+    const { response } = await request(env, '/random?format=attribution');
+    const links = (await response.text()).match(/\(https:[^)]+\)/g);
+    assert.equal(links.length, 2);
+    assert.ok(links.every(link => /utm_source=test_app&utm_medium=referral\)$/.test(link)), links.join(' '));
+});
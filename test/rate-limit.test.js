@@ -0,0 +1,85 @@
+// Rate limits of callers (token buckets in the RateLimiter Durable Object)
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, startFakeUnsplash, readError } from './helpers.js';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+});
+
+test('answers an empty bucket with 429, the error envelope and Retry-After', async (t) => {
+    const env = createTestEnv(fake, { RATE_LIMIT_IP_PER_MINUTE: '2', RATE_LIMIT_NOCACHE_PER_MINUTE: '1' });
+    const ip = { headers: { 'CF-Connecting-IP': '203.0.113.9' } };
+    const start = Date.now();
+    let secondsLater = 0;
+    t.mock.method(Date, 'now', () => start + secondsLater * 1000);
+
+    assert.equal((await request(env, '/random?nocache=true', ip)).response.status, 200);
+    const nocache = await request(env, '/random?nocache=true', ip);
+    assert.equal(nocache.response.status, 429);
+    assert.deepEqual(await readError(nocache.response), {
+        code: 'rate_limited',
+        message: 'Rate limit exceeded (nocache), retry in 60s',
+        parameter: null,
+        retryAfter: 60
+    });
+    assert.equal(nocache.response.headers.get('Retry-After'), '60');
+
+    // Two requests a minute refill one token every 30 seconds
+    assert.equal((await request(env, '/random', ip)).response.status, 200);
+    const { response } = await request(env, '/random', ip);
+    assert.equal(response.status, 429);
+    assert.equal((await readError(response)).retryAfter, 30);
+    assert.equal(response.headers.get('Retry-After'), '30');
+
+    secondsLater = 30;
+    assert.equal((await request(env, '/random', ip)).response.status, 200);
+});
+
+test('limits lookups that call Unsplash more tightly than cached ones', async () => {
+    const env = createTestEnv(fake, { RATE_LIMIT_IP_PER_MINUTE: '4', RATE_LIMIT_LOOKUPS_PER_MINUTE: '2' });
+    const ip = { headers: { 'CF-Connecting-IP': '203.0.113.7' } };
+
+    assert.equal((await request(env, '/search?query=lake', ip)).response.status, 200);
+    assert.equal((await request(env, '/photos/photo-1', ip)).response.status, 200);
+
+    // Both answers are cached now - repeating them only takes from the requests bucket
+    assert.equal((await request(env, '/search?query=lake', ip)).response.status, 200);
+    const uncached = await request(env, '/search?query=river', ip);
+    assert.equal(uncached.response.status, 429);
+    assert.match((await readError(uncached.response)).message, /\(lookups\)/);
+
+    // A request stopped by one bucket takes no token from the others
+    assert.equal((await request(env, '/placeholder/photo-1', ip)).response.status, 200);
+    const { response } = await request(env, '/photos/photo-1', ip);
+    assert.equal(response.status, 429);
+    assert.match((await readError(response)).message, /\(requests\)/);
+    assert.equal(fake.requestsTo('/search/photos').length, 1);
+    assert.equal(fake.requestsTo('/photos/photo-1').length, 1);
+
+    // Other callers have buckets of their own
+    const other = await request(env, '/photos/photo-1', { headers: { 'CF-Connecting-IP': '203.0.113.8' } });
+    assert.equal(other.response.status, 200);
+});
+
+test('keeps search cache keys short for long queries', async () => {
+    const env = createTestEnv(fake);
+    const query = 'a'.repeat(100);
+
+    await request(env, `/search?query=${query}&per_page=30&color=black_and_white&orientation=landscape`);
+    const keys = (await env.STORAGE.list({ prefix: 'SEARCH_' })).keys;
+    assert.equal(keys.length, 1);
+    assert.match(keys[0], /^SEARCH_[0-9a-f]{64}$/);
+});
@@ -0,0 +1,89 @@
+// Refill failures and the stale pool. Kept apart from the other flows because the circuit
+// breaker counts failures per isolate - each test file runs in its own process.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, getCacheStatus, startFakeUnsplash, isBulk, readError } from './helpers.js';
+
+const DEFAULT_KEY = 'orientation=landscape';
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.failWhen = null;
+    fake.photoCount = 0;
+});
+
+test('a failed refill releases the lock and the next request tries again', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '3' });
+    fake.failWhen = isBulk;
+
+    // The response doesn't depend on the refill
+    const { response, errors } = await request(env, '/random');
+    assert.equal(response.status, 200);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /500/);
+
+    let status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 0);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 0);
+    assert.equal(status[DEFAULT_KEY].isRefilling, false);
+
+    // Unsplash recovers - the next cold request refills both caches
+    fake.failWhen = null;
+    const retry = await request(env, '/random');
+    assert.equal(retry.response.status, 200);
+    assert.deepEqual(retry.errors, []);
+
+    status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 3);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 3);
+});
+
+test('serves the stale pool when Unsplash fails with both caches empty', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '2' });
+    await request(env, '/random'); // main: photos 2-3, buffer: photos 4-5
+
+    fake.failWhen = () => true;
+
+    // Draining the main cache promotes photos 4-5, but their replacement can't be fetched
+    for (let i = 0; i < 2; i++) {
+        const { response } = await request(env, '/random');
+        assert.equal(response.status, 200);
+    }
+    for (let i = 0; i < 2; i++) {
+        const { response } = await request(env, '/random');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('X-Cache-Status'), null);
+    }
+
+    const status = await getCacheStatus(env);
+    assert.equal(status[DEFAULT_KEY].mainCache.images, 0);
+    assert.equal(status[DEFAULT_KEY].bufferCache.images, 0);
+    assert.equal(status[DEFAULT_KEY].isRefilling, false);
+
+    // Both caches are empty and the direct fetch fails
+    const { response } = await request(env, '/random');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Cache-Status'), 'stale');
+    assert.ok(['photo-4', 'photo-5'].includes((await response.json()).id));
+});
+
+test('answers 502 when Unsplash fails and there is nothing stale to serve', async () => {
+    const env = createTestEnv(fake);
+    fake.failWhen = () => true;
+
+    const { response } = await request(env, '/random?orientation=portrait');
+    assert.equal(response.status, 502);
+    assert.equal((await readError(response)).code, 'upstream_error');
+});
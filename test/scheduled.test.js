@@ -0,0 +1,92 @@
+// Cron trigger: pre-warming popular caches and collecting idle cache keys
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestEnv, request, runScheduled, getCacheStatus, startFakeUnsplash, isBulk } from './helpers.js';
+
+const ADMIN = { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' };
+const DAY = 86400000;
+
+let fake;
+
+before(async () => {
+    fake = await startFakeUnsplash();
+});
+
+after(async () => {
+    await fake.close();
+});
+
+beforeEach(() => {
+    fake.requests.length = 0;
+    fake.failWhen = null;
+    fake.photoCount = 0;
+});
+
+test('keeps main when the buffer is too small to replace it', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '6', PREWARM_THRESHOLD: '4', ADMIN_TOKEN: 'test-admin-token' });
+    await request(env, '/random'); // main: photos 2-7, buffer: photos 8-13
+    for (let served = 0; served < 3; served++) {
+        await request(env, '/random');
+    }
+    for (const number of [8, 9, 10, 11, 12]) {
+        await request(env, `/admin/photos/photo-${number}`, { method: 'DELETE', headers: ADMIN });
+    }
+
+    // The refill meant to top up the buffer fails - promoting the one image left would empty main
+    fake.requests.length = 0;
+    fake.failWhen = isBulk;
+    await runScheduled(env);
+    let [status] = Object.values(await getCacheStatus(env));
+    assert.equal(fake.requests.filter(isBulk).length, 1);
+    assert.equal(status.mainCache.images, 3);
+    assert.equal(status.bufferCache.images, 1);
+
+    // Once the refill works the full buffer is promoted and refilled
+    fake.failWhen = null;
+    await runScheduled(env);
+    [status] = Object.values(await getCacheStatus(env));
+    assert.equal(status.mainCache.images, 6);
+    assert.equal(status.bufferCache.images, 6);
+});
+
+test('leaves full caches of keys smaller than the threshold alone', async () => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '5' });
+    await request(env, '/random'); // main: photos 2-6, buffer: photos 7-11
+    fake.requests.length = 0;
+
+    await runScheduled(env);
+    const [status] = Object.values(await getCacheStatus(env));
+    assert.equal(fake.requests.filter(isBulk).length, 0);
+    assert.equal(status.mainCache.images, 5);
+    assert.equal(status.bufferCache.images, 5);
+});
+
+test('deletes cache keys idle for CACHE_IDLE_DAYS and the keys of deleted clients', async (t) => {
+    const env = createTestEnv(fake, { CACHE_CAPACITY: '2', CACHE_IDLE_DAYS: '30', PREWARM_REQUEST_BUDGET: '0', ADMIN_TOKEN: 'test-admin-token' });
+    const start = Date.parse('2026-09-01T08:00:00Z');
+    let daysLater = 0;
+    t.mock.method(Date, 'now', () => start + daysLater * DAY);
+
+    const { response } = await request(env, '/admin/clients', { method: 'POST', headers: ADMIN, body: JSON.stringify({ collections: ['123'] }) });
+    const { clientKey, client } = await response.json();
+
+    await request(env, '/random?orientation=portrait');
+    await request(env, '/random?collections=123', { headers: { 'X-API-Key': clientKey } });
+    daysLater = 20;
+    await request(env, '/random?query=lake');
+    await request(env, `/admin/clients/${client.id}`, { method: 'DELETE', headers: ADMIN });
+
+    daysLater = 31;
+    assert.deepEqual(await runScheduled(env), []);
+    assert.deepEqual(Object.keys(await getCacheStatus(env)), ['orientation=landscape_query=lake']);
+    for (const prefix of ['META_', 'MAIN_', 'BUFFER_']) {
+        assert.equal(await env.STORAGE.get(`${prefix}orientation=portrait`), null);
+    }
+
+    // The remaining key goes once it has been idle long enough too
+    daysLater = 51;
+    await runScheduled(env);
+    assert.deepEqual(await getCacheStatus(env), {});
+});
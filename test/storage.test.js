@@ -0,0 +1,75 @@
+// Storage backends
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemoryStorage, KVStorage, getStorage } from '../src/storage.js';
+
+test('memory storage returns copies of stored values', async () => {
+    const storage = new MemoryStorage();
+    const value = { images: ['a'] };
+
+    await storage.put('KEY', value);
+    value.images.push('b');
+
+    assert.deepEqual(await storage.get('KEY'), { images: ['a'] });
+    assert.equal(await storage.get('MISSING'), null);
+
+    await storage.delete('KEY');
+    assert.equal(await storage.get('KEY'), null);
+});
+
+test('memory storage expires values after their TTL', async (t) => {
+    const storage = new MemoryStorage();
+    const start = Date.now();
+    let secondsLater = 0;
+    t.mock.method(Date, 'now', () => start + secondsLater * 1000);
+
+    await storage.put('SHORT', 1, { ttl: 60 });
+    await storage.put('FOREVER', 2);
+
+    secondsLater = 61;
+    assert.equal(await storage.get('SHORT'), null);
+    assert.equal(await storage.get('FOREVER'), 2);
+    assert.deepEqual((await storage.list()).keys, ['FOREVER']);
+});
+
+test('memory storage lists keys by prefix, page by page', async () => {
+    const storage = new MemoryStorage();
+    for (const key of ['META_c', 'META_a', 'MAIN_a', 'META_b']) {
+        await storage.put(key, true);
+    }
+
+    const first = await storage.list({ prefix: 'META_', limit: 2 });
+    assert.deepEqual(first.keys, ['META_a', 'META_b']);
+
+    const second = await storage.list({ prefix: 'META_', limit: 2, cursor: first.cursor });
+    assert.deepEqual(second, { keys: ['META_c'], cursor: null });
+});
+
+test('KV storage stores JSON in the namespace', async () => {
+    const calls = [];
+    const namespace = {
+        get: async (key, options) => (calls.push(['get', key, options]), { stored: true }),
+        put: async (key, value, options) => calls.push(['put', key, value, options]),
+        list: async () => ({ keys: [{ name: 'A' }, { name: 'B' }], list_complete: false, cursor: 'next' })
+    };
+    const storage = new KVStorage(namespace);
+
+    assert.deepEqual(await storage.get('KEY'), { stored: true });
+    await storage.put('KEY', { value: 1 }, { ttl: 120 });
+    assert.deepEqual(calls, [
+        ['get', 'KEY', { type: 'json' }],
+        ['put', 'KEY', '{"value":1}', { expirationTtl: 120 }]
+    ]);
+    assert.deepEqual(await storage.list({ prefix: 'X' }), { keys: ['A', 'B'], cursor: 'next' });
+});
+
+test('getStorage prefers an injected backend', () => {
+    const injected = new MemoryStorage();
+    assert.equal(getStorage({ STORAGE: injected, NAZKVHUBSTORE: {} }), injected);
+
+    const namespace = {};
+    assert.ok(getStorage({ NAZKVHUBSTORE: namespace }) instanceof KVStorage);
+    assert.equal(getStorage({ NAZKVHUBSTORE: namespace }), getStorage({ NAZKVHUBSTORE: namespace }));
+});